@@ -1,23 +1,26 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const { App } = require('@slack/bolt');
 const jsforce = require('jsforce');
 require('dotenv').config();
 
-// Initialize Slack app
-const app = new App({
-  token: process.env.SLACK_BOT_TOKEN,
-  signingSecret: process.env.SLACK_SIGNING_SECRET,
-  socketMode: true,
-  appToken: process.env.SLACK_APP_TOKEN,
-});
-
 // Configuration
 const CONFIG = {
-  // Channel to monitor for license requests
+  // Channel to monitor for license requests (used when no channel config file is set)
   licenseRequestChannel: process.env.LICENSE_REQUEST_CHANNEL || 'C06JLLX47UK',
 
-  // User to tag when account is a Customer
+  // User to tag for review (used when no channel config file is set)
   customerTagUser: process.env.CUSTOMER_TAG_USER || 'U04SEQE79FE',
 
+  // Users tagged when a follow-up reminder goes unanswered (comma-separated; channels in the
+  // channel config file can list their own backupReviewers)
+  backupReviewers: (process.env.BACKUP_REVIEWERS || '').split(',').map(id => id.trim()).filter(Boolean),
+
+  // Intake channels with their own reviewers, Salesforce defaults and message templates
+  // (see channels.example.json); unset means just licenseRequestChannel/customerTagUser
+  channelConfigFile: process.env.CHANNEL_CONFIG_FILE || null,
+
   // Salesforce instance URL for building links
   sfInstanceUrl: process.env.SF_INSTANCE_URL || 'https://chilipiper.lightning.force.com',
 
@@ -27,1406 +30,4986 @@ const CONFIG = {
   // Cached Gong Reseller Account ID
   gongResellerAccountId: process.env.GONG_RESELLER_ACCOUNT_ID || null,
 
-  // Price Book Entry IDs for Quote Line Items (for reference in messages)
-  priceBookEntries: {
-    handoff: '01t6T000006XZ6EQAW',      // Handoff License (Monthly)
-    chilical: '01tPK000001c7hUYAQ',     // ChiliCal Teams License (Monthly)
-  },
+  // Product catalog: request keywords -> product name, Price Book Entry and billing period
+  productCatalogFile: process.env.PRODUCT_CATALOG_FILE || path.join(__dirname, 'products.json'),
+
+  // Opportunity and quote field values, with placeholders and overrides per account type
+  recordTemplatesFile: process.env.RECORD_TEMPLATES_FILE || path.join(__dirname, 'templates.json'),
+
+  // Treat an open opportunity with the template's Lead Source and Type created on the
+  // account within this many days as a duplicate of the current request (0 disables the check)
+  duplicateOpportunityWindowDays: Number(process.env.DUPLICATE_OPPORTUNITY_WINDOW_DAYS || '14'),
+
+  // File that remembers which Slack messages produced which Salesforce records
+  processedRequestsFile: process.env.PROCESSED_REQUESTS_FILE || path.join(__dirname, 'data', 'processed-requests.json'),
+
+  // Append-only JSONL audit log with one entry per processed license request
+  auditLogFile: process.env.AUDIT_LOG_FILE || path.join(__dirname, 'data', 'audit-log.jsonl'),
+
+  // Post a preview with Create/Edit/Skip buttons instead of writing to Salesforce right away
+  approvalMode: process.env.APPROVAL_MODE === 'true',
+
+  // Create the Draft quote and line item for new opportunities instead of linking to QuoteBuilder
+  autoCreateQuote: process.env.AUTO_CREATE_QUOTE === 'true',
+
+  // Prepare a Draft amendment Order for Customer seat increases instead of posting manual CLM steps
+  autoAmendSubscriptions: process.env.AUTO_AMEND_SUBSCRIPTIONS === 'true',
+
+  // How a Customer's license count is read: 'total' (new subscription quantity) or 'add' (seats on top)
+  customerLicenseCountMode: process.env.CUSTOMER_LICENSE_COUNT_MODE === 'add' ? 'add' : 'total',
+
+  // Account matching: only pick the best candidate automatically when it scores at least
+  // this much (0-100) and beats the runner-up by the margin; otherwise ask in the thread
+  accountMatchThreshold: parseInt(process.env.ACCOUNT_MATCH_THRESHOLD || '50', 10),
+  accountMatchMargin: parseInt(process.env.ACCOUNT_MATCH_MARGIN || '15', 10),
+
+  // Create a Prospect account from the customer name and email domain when no account matches
+  autoCreateAccounts: process.env.AUTO_CREATE_ACCOUNTS === 'true',
+
+  // Lead Status for converted leads (looked up from Salesforce when unset)
+  leadConvertedStatus: process.env.LEAD_CONVERTED_STATUS || null,
+
+  // Personal/free email providers - the admin's email domain says nothing about their company,
+  // so account matching skips the domain and uses the company name only
+  freeEmailDomains: (process.env.FREE_EMAIL_DOMAINS ||
+    'gmail.com,googlemail.com,outlook.com,hotmail.com,live.com,msn.com,yahoo.com,ymail.com,icloud.com,me.com,mac.com,' +
+    'aol.com,proton.me,protonmail.com,gmx.com,gmx.de,gmx.net,web.de,mail.com,zoho.com,yandex.com,yandex.ru,qq.com,163.com')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean),
+
+  // Shared secret for the HTTP license request webhook (the webhook is off when unset)
+  webhookSecret: process.env.LICENSE_WEBHOOK_SECRET || null,
+
+  // How long Salesforce object describes are cached before being fetched again
+  schemaCacheMinutes: parseInt(process.env.SCHEMA_CACHE_MINUTES || '60', 10),
+
+  // Channel for the startup schema drift report (defaults to the first intake channel)
+  schemaReportChannel: process.env.SCHEMA_REPORT_CHANNEL || null,
+
+  // Post a digest of license request outcomes: 'daily', 'weekly' or unset (off)
+  digestSchedule: ['daily', 'weekly'].includes(process.env.DIGEST_SCHEDULE) ? process.env.DIGEST_SCHEDULE : null,
+
+  // When the digest is posted: hour (UTC) and, for weekly digests, day of the week (0 = Sunday)
+  digestHourUtc: Number(process.env.DIGEST_HOUR_UTC || '9'),
+  digestWeekday: Number(process.env.DIGEST_WEEKDAY || '1'),
+
+  // Channel for the digest (defaults to the first intake channel)
+  digestChannel: process.env.DIGEST_CHANNEL || null,
+
+  // Remind the reviewers in the thread when no quote (or, for customers, no subscription quantity
+  // change) shows up this many hours after they were tagged (0 disables reminders), then tag the
+  // backup reviewers after the escalation interval
+  followUpReminderHours: parseInt(process.env.FOLLOW_UP_REMINDER_HOURS || '24', 10),
+  followUpEscalationHours: parseInt(process.env.FOLLOW_UP_ESCALATION_HOURS || '24', 10),
+  followUpCheckMinutes: parseInt(process.env.FOLLOW_UP_CHECK_MINUTES || '15', 10),
+
+  // Requests waiting for a reviewer's quote or subscription change
+  followUpsFile: process.env.FOLLOW_UPS_FILE || path.join(__dirname, 'data', 'follow-ups.json'),
+
+  // Retries for transient Salesforce errors (row locks, 5xx, network), with exponential backoff from the base delay
+  sfMaxRetries: parseInt(process.env.SF_MAX_RETRIES || '3', 10),
+  sfRetryBaseDelayMs: parseInt(process.env.SF_RETRY_BASE_DELAY_MS || '500', 10),
+
+  // Port for the HTTP endpoints (Socket Mode itself doesn't need one)
+  port: process.env.PORT || 3000,
 };
 
-// Salesforce connection
-let sfConnection = null;
-let sfTokenExpiry = null;
+// A digest time that can't be computed would never be scheduled (or be posted in a loop)
+if (!Number.isInteger(CONFIG.digestHourUtc) || CONFIG.digestHourUtc < 0 || CONFIG.digestHourUtc > 23) {
+  throw new Error(`DIGEST_HOUR_UTC must be a whole hour from 0 to 23 (got "${process.env.DIGEST_HOUR_UTC}")`);
+}
+if (!Number.isInteger(CONFIG.digestWeekday) || CONFIG.digestWeekday < 0 || CONFIG.digestWeekday > 6) {
+  throw new Error(`DIGEST_WEEKDAY must be a day of the week from 0 (Sunday) to 6 (got "${process.env.DIGEST_WEEKDAY}")`);
+}
 
-/**
- * Ensure Salesforce connection is valid, refresh if expired
- */
-async function ensureSalesforceConnection() {
-  // If no connection or token might be expired, reinitialize
-  if (!sfConnection || (sfTokenExpiry && Date.now() > sfTokenExpiry)) {
-    console.log('🔄 Salesforce session expired or missing, reconnecting...');
-    return await initSalesforce();
-  }
-  return true;
+// A window that isn't a whole number of days makes the duplicate query fail, silently skipping the check
+if (!Number.isInteger(CONFIG.duplicateOpportunityWindowDays) || CONFIG.duplicateOpportunityWindowDays < 0) {
+  throw new Error(`DUPLICATE_OPPORTUNITY_WINDOW_DAYS must be a whole number of days, 0 to disable (got "${process.env.DUPLICATE_OPPORTUNITY_WINDOW_DAYS}")`);
 }
 
+// Initialize Slack app
+const app = new App({
+  token: process.env.SLACK_BOT_TOKEN,
+  signingSecret: process.env.SLACK_SIGNING_SECRET,
+  socketMode: true,
+  appToken: process.env.SLACK_APP_TOKEN,
+  port: CONFIG.port,
+  customRoutes: buildCustomRoutes(),
+  // auth.test runs in app.init() at startup, so requiring this file (tests) stays offline
+  deferInitialization: true,
+});
+
+const PRODUCT_CATALOG = loadProductCatalog(CONFIG.productCatalogFile);
+
 /**
- * Execute a Salesforce query with automatic retry on session expiry
+ * Load and validate the product catalog file
  */
-async function sfQuery(soql, retried = false) {
-  try {
-    await ensureSalesforceConnection();
-    return await sfConnection.query(soql);
-  } catch (error) {
-    // Check if this is a session expiry error
-    if (!retried && (
-      error.message.includes('Session expired') ||
-      error.message.includes('INVALID_SESSION_ID') ||
-      error.message.includes('invalid')
-    )) {
-      console.log('🔄 Session error detected, refreshing connection...');
-      sfConnection = null; // Force reconnection
-      const reconnected = await initSalesforce();
-      if (reconnected) {
-        return await sfQuery(soql, true); // Retry once
-      }
+function loadProductCatalog(file) {
+  const catalog = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  for (const product of catalog.products || []) {
+    const missing = ['key', 'name', 'priceBookEntryId', 'billingPeriod', 'aliases']
+      .filter(field => !product[field] || (field === 'aliases' && product.aliases.length === 0));
+    if (missing.length > 0) {
+      throw new Error(`Product "${product.key || product.name}" in ${file} is missing: ${missing.join(', ')}`);
     }
-    throw error;
   }
-}
 
-/**
- * Initialize Salesforce connection using Client Credentials Flow (OAuth2)
- */
-async function initSalesforce() {
-  try {
-    const clientId = process.env.SF_CLIENT_ID;
-    const clientSecret = process.env.SF_CLIENT_SECRET;
-    const loginUrl = process.env.SF_LOGIN_URL || 'https://login.salesforce.com';
-
-    // Use Client Credentials Flow (OAuth2)
-    const tokenResponse = await fetch(`${loginUrl}/services/oauth2/token`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: new URLSearchParams({
-        grant_type: 'client_credentials',
-        client_id: clientId,
-        client_secret: clientSecret,
-      }),
-    });
+  if (!(catalog.products || []).some(product => product.key === catalog.defaultProduct)) {
+    throw new Error(`defaultProduct "${catalog.defaultProduct}" in ${file} is not in the product list`);
+  }
 
-    if (!tokenResponse.ok) {
-      const errorText = await tokenResponse.text();
-      throw new Error(`OAuth failed: ${tokenResponse.status} - ${errorText}`);
+  // Longest alias first, so "handoff annual" wins over "handoff"
+  const aliases = [];
+  for (const product of catalog.products) {
+    for (const alias of product.aliases) {
+      aliases.push({ alias: alias.toLowerCase(), key: product.key });
     }
+  }
+  aliases.sort((a, b) => b.alias.length - a.alias.length);
 
-    const tokenData = await tokenResponse.json();
-
-    // Create connection with the access token
-    sfConnection = new jsforce.Connection({
-      instanceUrl: tokenData.instance_url,
-      accessToken: tokenData.access_token,
-    });
+  console.log(`📦 Loaded ${catalog.products.length} products from ${file}`);
 
-    // Set token expiry (Salesforce tokens last ~2 hours, refresh after 1.5 hours to be safe)
-    sfTokenExpiry = Date.now() + (90 * 60 * 1000); // 90 minutes
+  return {
+    defaultProduct: catalog.defaultProduct,
+    products: catalog.products,
+    aliases,
+  };
+}
 
-    console.log('✅ Connected to Salesforce (Client Credentials Flow)');
-    console.log(`   Instance URL: ${tokenData.instance_url}`);
-    console.log(`   Token expires at: ${new Date(sfTokenExpiry).toISOString()}`);
+/**
+ * Get a product from the catalog by key
+ */
+function getProduct(productKey) {
+  return PRODUCT_CATALOG.products.find(product => product.key === productKey) || null;
+}
 
-    // Cache the Gong Reseller Account ID if not already set
-    if (!CONFIG.gongResellerAccountId) {
-      await cacheGongResellerAccountId();
-    }
+// Placeholders available in record templates; dates also take an offset in days, e.g. {today+30}
+const TEMPLATE_PLACEHOLDERS = ['accountName', 'accountType', 'customerName', 'product', 'quantity', 'requestDate', 'today'];
+const TEMPLATE_DATE_PLACEHOLDERS = ['requestDate', 'today'];
+const TEMPLATE_PLACEHOLDER_PATTERN = /\{(\w+)(?:([+-])(\d+))?\}/g;
 
-    return true;
-  } catch (error) {
-    console.error('❌ Salesforce connection failed:', error.message);
-    return false;
-  }
-}
+const RECORD_TEMPLATES = loadRecordTemplates(CONFIG.recordTemplatesFile);
 
 /**
- * Cache the Gong Reseller Account ID for faster opportunity creation
+ * Placeholders in a set of template fields that don't exist (or take an offset they can't)
  */
-async function cacheGongResellerAccountId() {
-  try {
-    const result = await sfQuery(
-      `SELECT Id, Name FROM Account WHERE Name = '${CONFIG.gongResellerAccountName}' LIMIT 1`
-    );
-
-    if (result.records.length > 0) {
-      CONFIG.gongResellerAccountId = result.records[0].Id;
-      console.log(`✅ Cached Gong Reseller Account ID: ${CONFIG.gongResellerAccountId}`);
-    } else {
-      console.warn(`â ï¸ Could not find account named "${CONFIG.gongResellerAccountName}"`);
+function findInvalidPlaceholders(fields) {
+  const invalid = [];
+  for (const value of Object.values(fields || {})) {
+    for (const match of String(value).matchAll(TEMPLATE_PLACEHOLDER_PATTERN)) {
+      if (!TEMPLATE_PLACEHOLDERS.includes(match[1]) || (match[2] && !TEMPLATE_DATE_PLACEHOLDERS.includes(match[1]))) {
+        invalid.push(match[0]);
+      }
     }
-  } catch (error) {
-    console.error('❌ Error caching Gong Reseller Account ID:', error.message);
   }
+  return invalid;
 }
 
 /**
- * Extract customer admin email from Zapier license request message
+ * Load and validate the opportunity/quote templates file. Account types can override
+ * the default fields, e.g. a win-back name for returning customers:
+ *   "accountTypes": { "Ex-Customer": { "opportunity": { "Name": "{accountName} - Win-back ({product} x {quantity})" } } }
  */
-function extractCustomerAdminEmail(text) {
-  // Clean up Slack formatting first
-  const cleanText = text
-    .replace(/<mailto:([^|>]+)\|[^>]+>/g, '$1')  // <mailto:email|display> -> email
-    .replace(/<mailto:([^>]+)>/g, '$1')          // <mailto:email> -> email
-    .replace(/\*/g, '');                          // Remove bold markers
-
-  // Look for "Customer Admin:" followed by name and email
-  const emailPattern = /Customer Admin:.*?([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/i;
-  const match = cleanText.match(emailPattern);
-
-  if (match) {
-    const email = match[1].toLowerCase().trim();
-    console.log(`📧 Extracted email: ${email}`);
-    return email;
+function loadRecordTemplates(file) {
+  const templates = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const defaults = templates.default || {};
+
+  const missing = ['Name', 'StageName', 'CloseDate'].filter(field => !(defaults.opportunity || {})[field])
+    .map(field => `opportunity.${field}`)
+    .concat((defaults.quote || {}).Name ? [] : ['quote.Name']);
+  if (missing.length > 0) {
+    throw new Error(`Default template in ${file} is missing: ${missing.join(', ')}`);
   }
 
-  // Fallback: try to find any email after "Customer Admin"
-  const lines = cleanText.split('\n');
-  for (const line of lines) {
-    if (line.toLowerCase().includes('customer admin')) {
-      const emailMatch = line.match(/([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/);
-      if (emailMatch) {
-        const email = emailMatch[1].toLowerCase().trim();
-        console.log(`📧 Extracted email (fallback): ${email}`);
-        return email;
+  const accountTypes = {};
+  for (const [accountType, template] of Object.entries({ default: defaults, ...templates.accountTypes })) {
+    for (const recordType of ['opportunity', 'quote']) {
+      const invalid = findInvalidPlaceholders(template[recordType]);
+      if (invalid.length > 0) {
+        throw new Error(`Template "${accountType}" ${recordType} in ${file} has unknown placeholders: ${invalid.join(', ')}`);
       }
     }
+    if (accountType !== 'default') {
+      accountTypes[accountType.toLowerCase()] = template;
+    }
   }
 
-  return null;
+  console.log(`📄 Loaded record templates from ${file} (${Object.keys(accountTypes).length} account type overrides)`);
+
+  return { default: defaults, accountTypes };
 }
 
 /**
- * Extract customer name (company name) from Zapier license request message
+ * Template fields for a record type ('opportunity' or 'quote'): the defaults with the account type's overrides on top
  */
-function extractCustomerName(text) {
-  // Clean up Slack formatting first
-  const cleanText = text
-    .replace(/\*/g, '')                           // Remove asterisks (bold)
-    .replace(/<[^>]+>/g, '');                     // Remove Slack link formatting
-
-  const pattern = /Customer Name:\s*(.+)/i;
-  const match = cleanText.match(pattern);
+function getRecordTemplate(recordType, accountType) {
+  const override = RECORD_TEMPLATES.accountTypes[(accountType || '').toLowerCase()] || {};
+  return { ...RECORD_TEMPLATES.default[recordType], ...override[recordType] };
+}
 
-  if (match) {
-    // Also trim any trailing formatting or newline content
-    let name = match[1].trim();
-    // Stop at newline if present
-    const newlinePos = name.indexOf('\n');
-    if (newlinePos > 0) {
-      name = name.substring(0, newlinePos).trim();
-    }
-    console.log(`🏢 Extracted customer name: ${name}`);
-    return name;
-  }
-  return null;
+/**
+ * Placeholder values for a license request
+ */
+function buildTemplateContext(message, request, account) {
+  return {
+    accountName: account.Name,
+    accountType: account.Type || 'Unknown',
+    customerName: request.company || account.Name,
+    product: (request.items || []).map(item => getProduct(item.product).name).join(', '),
+    quantity: (request.items || []).map(item => item.quantity).join(', '),
+    // Slack timestamps are seconds since the epoch
+    requestDate: message && message.ts ? new Date(parseFloat(message.ts) * 1000) : new Date(),
+    today: new Date(),
+  };
 }
 
 /**
- * Extract License Type from Zapier license request message
- * Returns 'handoff' or 'chilical' based on the message content
+ * Fill in the placeholders in template fields. Dates render as YYYY-MM-DD;
+ * values without placeholders (including numbers and booleans) are kept as they are.
  */
-function extractLicenseType(text) {
-  // Clean up Slack formatting
-  const cleanText = text.replace(/\*/g, '').toLowerCase();
+function renderTemplate(fields, context) {
+  const rendered = {};
 
-  // Look for license type indicators
-  // The message typically starts with the license type
-  if (cleanText.includes('chilical') || cleanText.includes('chili cal') || cleanText.includes('chili-cal')) {
-    console.log('📋 Extracted license type: ChiliCal');
-    return 'chilical';
-  }
+  for (const [field, value] of Object.entries(fields || {})) {
+    if (typeof value !== 'string') {
+      rendered[field] = value;
+      continue;
+    }
+
+    rendered[field] = value.replace(TEMPLATE_PLACEHOLDER_PATTERN, (placeholder, name, sign, days) => {
+      if (!TEMPLATE_DATE_PLACEHOLDERS.includes(name)) {
+        return context[name] === undefined || context[name] === null ? '' : String(context[name]);
+      }
 
-  if (cleanText.includes('handoff')) {
-    console.log('📋 Extracted license type: Handoff');
-    return 'handoff';
+      const date = new Date(context[name]);
+      if (sign) {
+        date.setUTCDate(date.getUTCDate() + (sign === '-' ? -1 : 1) * parseInt(days, 10));
+      }
+      return date.toISOString().split('T')[0];
+    });
   }
 
-  // Default to handoff if not found
-  console.log('📋 License type not found, defaulting to: Handoff');
-  return 'handoff';
+  return rendered;
 }
 
 /**
- * Extract License Count from Zapier license request message
- * Looks for patterns like "License Count: 240" or "Licenses: 240"
+ * Opportunity fields for a request: the account type's template, then the intake channel's defaults
  */
-function extractLicenseCount(text) {
-  // Clean up Slack formatting
-  const cleanText = text.replace(/\*/g, '');
+function renderOpportunityFields(message, request, account) {
+  const context = buildTemplateContext(message, request, account);
+  const channel = getChannelSettings(message ? message.channel : null);
+  return {
+    ...renderTemplate(getRecordTemplate('opportunity', account.Type), context),
+    ...renderTemplate(channel.opportunityFields, context),
+  };
+}
 
-  // Look for "License Count:" followed by a number
-  const licenseCountPattern = /License\s*Count:\s*(\d+)/i;
-  const match = cleanText.match(licenseCountPattern);
+// Header Zapier puts on every license request message
+const LICENSE_REQUEST_TRIGGER = 'New ChiliPiper License Request Submitted!';
 
-  if (match) {
-    const count = parseInt(match[1], 10);
-    console.log(`📊 Extracted license count: ${count}`);
-    return count;
-  }
+// Review lines appended to the thread reply, by account type
+const DEFAULT_REVIEW_MESSAGES = {
+  prospect: 'new prospect opportunity created for review.',
+  exCustomer: 'ex-customer opportunity created for review.',
+  customer: 'please review this license request.',
+  customerAmendment: 'please review and activate the draft order.',
+};
 
-  // Fallback: look for "Licenses:" followed by a number
-  const licensesPattern = /Licenses:\s*(\d+)/i;
-  const fallbackMatch = cleanText.match(licensesPattern);
+const CHANNELS = loadChannelConfig(CONFIG.channelConfigFile);
+
+/**
+ * Load and validate the intake channel config file. Without a file, the single
+ * channel from LICENSE_REQUEST_CHANNEL / CUSTOMER_TAG_USER is used.
+ * @returns {Map<string, Object>} Channel settings keyed by Slack channel ID (first entry is the default)
+ */
+function loadChannelConfig(file) {
+  const entries = file
+    ? JSON.parse(fs.readFileSync(file, 'utf8')).channels || []
+    : [{ id: CONFIG.licenseRequestChannel, name: 'default', reviewers: [CONFIG.customerTagUser] }];
+
+  const channels = new Map();
+  for (const entry of entries) {
+    if (!entry.id || !Array.isArray(entry.reviewers) || entry.reviewers.length === 0) {
+      throw new Error(`Channel "${entry.name || entry.id}" in ${file} needs an id and at least one reviewer`);
+    }
+    if (channels.has(entry.id)) {
+      throw new Error(`Channel ${entry.id} is listed more than once in ${file}`);
+    }
+    const invalidPlaceholders = findInvalidPlaceholders(entry.opportunityFields);
+    if (invalidPlaceholders.length > 0) {
+      throw new Error(`Channel "${entry.name || entry.id}" in ${file} has unknown placeholders: ${invalidPlaceholders.join(', ')}`);
+    }
 
-  if (fallbackMatch) {
-    const count = parseInt(fallbackMatch[1], 10);
-    console.log(`📊 Extracted license count (fallback): ${count}`);
-    return count;
+    channels.set(entry.id, {
+      id: entry.id,
+      name: entry.name || entry.id,
+      reviewers: entry.reviewers,
+      backupReviewers: entry.backupReviewers || CONFIG.backupReviewers,
+      trigger: entry.trigger || LICENSE_REQUEST_TRIGGER,
+      opportunityFields: entry.opportunityFields || {},
+      reviewMessages: { ...DEFAULT_REVIEW_MESSAGES, ...entry.reviewMessages },
+    });
   }
 
-  // Try to find any number after "license" keyword
-  const anyNumberPattern = /license[s]?\s*[:\-]?\s*(\d+)/i;
-  const anyMatch = cleanText.match(anyNumberPattern);
+  if (channels.size === 0) {
+    throw new Error(`No channels configured in ${file}`);
+  }
 
-  if (anyMatch) {
-    const count = parseInt(anyMatch[1], 10);
-    console.log(`📊 Extracted license count (loose match): ${count}`);
-    return count;
+  if (file) {
+    console.log(`📡 Loaded ${channels.size} intake channels from ${file}`);
   }
 
-  console.log('⚠️ Could not extract license count, defaulting to 1');
-  return 1;
+  return channels;
 }
 
 /**
- * Extract Customer Admin's full name from Zapier license request message
- * Returns { firstName, lastName }
+ * Settings for a channel; requests outside the configured channels (e.g. an
+ * @mention elsewhere) use the first channel's settings
  */
-function extractCustomerAdminName(text) {
-  console.log('📝 Attempting to extract admin name from text...');
+function getChannelSettings(channelId) {
+  return CHANNELS.get(channelId) || CHANNELS.values().next().value;
+}
 
-  // Clean up Slack formatting - remove link formatting and bold/italic markers
-  let cleanText = text
-    .replace(/<mailto:[^|>]+\|([^>]+)>/g, '$1')  // <mailto:email|display> -> display
-    .replace(/<mailto:[^>]+>/g, '')              // <mailto:email> -> empty
-    .replace(/<[^>]+>/g, '')                     // Remove any other Slack link formatting
-    .replace(/\*/g, '');                         // Remove asterisks (Slack bold formatting)
+/**
+ * Slack mentions for a channel's reviewers
+ */
+function formatReviewers(channel) {
+  return channel.reviewers.map(user => `<@${user}>`).join(' ');
+}
 
-  // Look for "Customer Admin:" followed by the name before the email
-  // Handle names with hyphens, apostrophes, and accented characters
-  const pattern = /Customer Admin:\s*([A-Za-zÀ-ÖØ-öø-ÿ'-]+)\s+([A-Za-zÀ-ÖØ-öø-ÿ'-]+)\s+[a-zA-Z0-9._%+-]+@/i;
-  const match = cleanText.match(pattern);
+// Salesforce connection
+let sfConnection = null;
+let sfTokenExpiry = null;
+let sfTokenIssuedAt = null;
+let sfLastAuthError = null;
+let sfLastQueryAt = null;
 
-  if (match) {
-    console.log(`✅ Extracted name (primary): ${match[1]} ${match[2]}`);
-    return {
-      firstName: match[1],
-      lastName: match[2]
-    };
+/**
+ * Ensure Salesforce connection is valid, refresh if expired
+ */
+async function ensureSalesforceConnection() {
+  // If no connection or token might be expired, reinitialize
+  if (!sfConnection || (sfTokenExpiry && Date.now() > sfTokenExpiry)) {
+    console.log('🔄 Salesforce session expired or missing, reconnecting...');
+    return await initSalesforce();
   }
+  return true;
+}
 
-  // Fallback: try to extract any name before the email on the Customer Admin line
-  // Normalize line breaks (handle \r\n, \r, \n)
-  const lines = cleanText.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
-  for (const line of lines) {
-    if (line.toLowerCase().includes('customer admin')) {
-      console.log(`📝 Found Customer Admin line: ${line.substring(0, 100)}...`);
+// Salesforce error codes that are worth retrying after a short wait
+const TRANSIENT_SALESFORCE_ERRORS = ['UNABLE_TO_LOCK_ROW', 'SERVER_UNAVAILABLE', 'QUERY_TIMEOUT', 'REQUEST_RUNNING_TOO_LONG'];
 
-      // Try to find name pattern - capture two words after "Customer Admin:"
-      // More flexible pattern that captures names before any email-like pattern
-      const nameMatch = line.match(/Customer Admin:\s*([A-Za-zÀ-ÖØ-öø-ÿ'-]+)\s+([A-Za-zÀ-ÖØ-öø-ÿ'-]+)/i);
-      if (nameMatch) {
-        console.log(`✅ Extracted name (fallback): ${nameMatch[1]} ${nameMatch[2]}`);
-        return {
-          firstName: nameMatch[1],
-          lastName: nameMatch[2]
-        };
-      }
-    }
-  }
+// Network errors that are worth retrying
+const TRANSIENT_NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
 
-  console.log('❌ Could not extract admin name from message');
-  return null;
-}
+// Errors that mean a write was not applied: Salesforce rolled back (row lock) or the
+// request never left this machine. Only these are retried for creates and lead conversions.
+const WRITE_NOT_APPLIED_ERRORS = ['UNABLE_TO_LOCK_ROW'];
+const REQUEST_NOT_SENT_NETWORK_ERRORS = ['ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'];
 
 /**
- * Search for a Contact in Salesforce by email
+ * Classify a Salesforce error (thrown, or from a failed DML result's errors array).
+ * For calls that aren't safe to repeat (creates, lead conversions), a transient error that
+ * could have happened after Salesforce committed the write (5xx, timeouts, dropped
+ * connections) is 'uncertain' and not retried.
+ * @param {boolean} [idempotent] - false for calls that create records when repeated
+ * @returns {'session'|'transient'|'uncertain'|'permanent'}
  */
-async function findContactByEmail(email) {
-  try {
-    // Clean the email - remove any hidden characters or whitespace
-    const cleanEmail = email.trim().toLowerCase();
-    console.log(`🔍 Searching for contact by email: ${cleanEmail}`);
-
-    const result = await sfQuery(
-      `SELECT Id, Name, Email, AccountId, Account.Id, Account.Name, Account.Type
-       FROM Contact
-       WHERE Email = '${cleanEmail}'
-       LIMIT 1`
-    );
-
-    if (result.records.length > 0) {
-      console.log(`✅ Found contact: ${result.records[0].Name}`);
-      return result.records[0];
-    }
+function classifySalesforceError(error, idempotent = true) {
+  const code = String(error.errorCode || error.statusCode || error.name || '').replace(/^sf:/, '');
 
-    console.log(`⚠️ No contact found with email: ${cleanEmail}`);
-    return null;
-  } catch (error) {
-    console.error('❌ Error searching for contact:', error.message);
-    return null;
+  if (code === 'INVALID_SESSION_ID' || /^Session expired or invalid/i.test(error.message || '')) {
+    return 'session';
   }
+  if (TRANSIENT_SALESFORCE_ERRORS.includes(code) || /^ERROR_HTTP_5\d\d$/.test(code) || TRANSIENT_NETWORK_ERRORS.includes(error.code)) {
+    const notApplied = WRITE_NOT_APPLIED_ERRORS.includes(code) || REQUEST_NOT_SENT_NETWORK_ERRORS.includes(error.code);
+    return idempotent || notApplied ? 'transient' : 'uncertain';
+  }
+  return 'permanent';
 }
 
 /**
- * Find contact by email AND account ID (more thorough search)
- * This helps find contacts that might exist on the account even if email search didn't work
+ * Run a Salesforce read or write with token refresh, retries and timing.
+ * Session errors reconnect and retry once; transient errors (row locks, 5xx,
+ * network) retry with exponential backoff up to CONFIG.sfMaxRetries times.
+ * A DML result with success: false and only transient errors is retried the same way.
+ * Non-idempotent calls only retry errors that guarantee nothing was written.
+ * @param {string} label - What the call does, for logs (e.g. 'create Contact')
+ * @param {function(Object): Promise<*>} operation - Receives the jsforce connection
+ * @param {{idempotent: boolean}} [options] - idempotent: false for creates and lead conversions
  */
-async function findContactByEmailAndAccount(email, accountId) {
-  try {
-    // First try exact email match on account
-    let result = await sfQuery(
-      `SELECT Id, Name, Email, AccountId, Account.Id, Account.Name, Account.Type
-       FROM Contact
-       WHERE Email = '${email}' AND AccountId = '${accountId}'
-       LIMIT 1`
-    );
+async function sfCall(label, operation, { idempotent = true } = {}) {
+  const callStartedAt = Date.now();
+  let sessionRefreshed = false;
 
-    if (result.records.length > 0) {
-      return result.records[0];
-    }
+  for (let attempt = 1; ; attempt++) {
+    const startedAt = Date.now();
+    let errorType;
 
-    // Try case-insensitive email search on account
-    result = await sfQuery(
-      `SELECT Id, Name, Email, AccountId, Account.Id, Account.Name, Account.Type
-       FROM Contact
-       WHERE AccountId = '${accountId}'
-       LIMIT 10`
-    );
+    try {
+      if (!await ensureSalesforceConnection()) {
+        throw new Error('Could not connect to Salesforce');
+      }
 
-    // Check for email match (case-insensitive)
-    const emailLower = email.toLowerCase();
-    for (const contact of result.records) {
-      if (contact.Email && contact.Email.toLowerCase() === emailLower) {
-        return contact;
+      const result = await operation(sfConnection);
+      const resultErrors = result && result.success === false ? [].concat(result.errors || []) : [];
+
+      if (resultErrors.length === 0 || !resultErrors.every(e => classifySalesforceError(e, idempotent) === 'transient') ||
+          attempt > CONFIG.sfMaxRetries) {
+        console.log(`⏱️ Salesforce ${label}: ${Date.now() - startedAt}ms${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
+        recordSalesforceCall(label, callStartedAt, resultErrors.length === 0 ? 'ok' : 'error');
+        return result;
+      }
+
+      errorType = 'transient';
+      console.warn(`⚠️ Salesforce ${label} failed (${formatSalesforceErrors(resultErrors)})`);
+    } catch (error) {
+      errorType = classifySalesforceError(error, idempotent);
+      console.warn(`⚠️ Salesforce ${label} failed after ${Date.now() - startedAt}ms (${errorType}): ${error.message}`);
+
+      if (errorType === 'permanent' || errorType === 'uncertain' || (errorType === 'session' && sessionRefreshed) ||
+          (errorType === 'transient' && attempt > CONFIG.sfMaxRetries)) {
+        recordSalesforceCall(label, callStartedAt, 'error');
+        throw error;
       }
     }
 
-    return null;
-  } catch (error) {
-    console.error('❌ Error searching for contact by email and account:', error.message);
-    return null;
+    if (errorType === 'session') {
+      console.log('🔄 Session error detected, refreshing connection...');
+      sessionRefreshed = true;
+      sfConnection = null; // Force reconnection
+    } else {
+      const delay = CONFIG.sfRetryBaseDelayMs * 2 ** (attempt - 1) + Math.floor(Math.random() * CONFIG.sfRetryBaseDelayMs);
+      console.log(`🔁 Retrying Salesforce ${label} in ${delay}ms (retry ${attempt} of ${CONFIG.sfMaxRetries})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
   }
 }
 
 /**
- * Get Account details by ID
+ * Execute a Salesforce query
  */
-async function getAccountById(accountId) {
-  try {
-    const result = await sfQuery(
-      `SELECT Id, Name, Type
-       FROM Account
-       WHERE Id = '${accountId}'
-       LIMIT 1`
-    );
+async function sfQuery(query) {
+  const from = query.match(/\bFROM\s+(\w+)/i);
+  const result = await sfCall(`query ${from ? from[1] : ''}`.trim(), connection => connection.query(query));
+  sfLastQueryAt = Date.now();
+  return result;
+}
 
-    if (result.records.length > 0) {
-      return result.records[0];
-    }
-    return null;
-  } catch (error) {
-    console.error('❌ Error fetching account:', error.message);
-    return null;
-  }
+/**
+ * Create a Salesforce record. Fields that don't exist in the org or can't be set on
+ * create are left out and listed in the result's skippedFields.
+ */
+async function sfCreate(sobjectType, data) {
+  const { fields, skippedFields } = await filterWritableFields(sobjectType, data, 'createable');
+  const result = await sfCall(`create ${sobjectType}`, connection => connection.sobject(sobjectType).create(fields),
+    { idempotent: false });
+  return { ...result, skippedFields };
 }
 
 /**
- * Search for an Account by domain (from email)
+ * Update a Salesforce record (data must include Id). Fields that don't exist or
+ * can't be updated are left out and listed in the result's skippedFields.
  */
-async function findAccountByDomain(email) {
-  try {
-    // Extract domain from email
-    const domain = email.split('@')[1];
-    if (!domain) {
-      return null;
-    }
+async function sfUpdate(sobjectType, data) {
+  const { fields, skippedFields } = await filterWritableFields(sobjectType, data, 'updateable');
+  const result = await sfCall(`update ${sobjectType}`, connection => connection.sobject(sobjectType).update(fields));
+  return { ...result, skippedFields };
+}
 
-    console.log(`ð Searching for account by domain: ${domain}`);
+// Objects described at startup
+const SCHEMA_OBJECTS = ['Account', 'Contact', 'Opportunity', 'Quote', 'QuoteLineItem', 'Order', 'OrderItem', 'Ruby__Subscription__c'];
 
-    // Search by Website field containing the domain
-    let result = await sfQuery(
-      `SELECT Id, Name, Type, Website
-       FROM Account
-       WHERE Website LIKE '%${domain}%'
-       LIMIT 1`
-    );
+// Fields the bot reads or writes outside the record templates. Optional fields are
+// skipped when missing (the bot works without them); the rest are reported as drift.
+const SCHEMA_EXPECTATIONS = {
+  Account: {
+    fields: ['Name', 'Type', 'Website', 'LastActivityDate', 'OwnerId'],
+    optional: ['Domain__c'],
+    picklistValues: { Type: ['Prospect', 'Customer', 'Ex-Customer'] },
+  },
+  Contact: { fields: ['FirstName', 'LastName', 'Email', 'AccountId'] },
+  Opportunity: {
+    fields: ['Name', 'AccountId', 'OwnerId'],
+    optional: ['BillingAccount__c', 'OnBoarding_Contact__c', 'Primary_Contact__c'],
+  },
+  Quote: { fields: ['Name', 'OpportunityId', 'Pricebook2Id'], optional: ['BillingAccount__c'] },
+  QuoteLineItem: { fields: ['QuoteId', 'PricebookEntryId', 'Quantity', 'UnitPrice'] },
+  Order: { fields: ['AccountId', 'Status', 'EffectiveDate', 'Pricebook2Id', 'Description'] },
+  // Without the subscription link an amendment order would add a new subscription
+  OrderItem: { fields: ['OrderId', 'PricebookEntryId', 'Quantity', 'UnitPrice', 'Ruby__Subscription__c'] },
+  Ruby__Subscription__c: {
+    fields: [
+      'Customer_Account_Id__c', 'Ruby__Status__c', 'Ruby__BillingAccount__c', 'Ruby__Quantity__c',
+      'Ruby__ProductName__c', 'Ruby__SubscriptionStartDate__c', 'Ruby__SubscriptionEndDate__c',
+    ],
+  },
+};
 
-    if (result.records.length > 0) {
-      console.log(`✅ Found account by website: ${result.records[0].Name}`);
-      return result.records[0];
-    }
+// Object name -> { fields: Map(field name -> describe field), describedAt }, or { missing: true }
+const schemaCache = new Map();
 
-    // Also try searching by domain field if it exists, or by the Domain custom field
-    // Common field names: Domain__c, Email_Domain__c, Website_Domain__c
-    try {
-      result = await sfQuery(
-        `SELECT Id, Name, Type, Website
-         FROM Account
-         WHERE Domain__c = '${domain}'
-         LIMIT 1`
-      );
+/**
+ * Describe an object (cached for CONFIG.schemaCacheMinutes)
+ * @returns {Promise<Object|null>} Cached schema, { missing: true } if the object doesn't exist,
+ *   or null if it could not be described (callers then send fields unchecked)
+ */
+async function getObjectSchema(sobjectType) {
+  const cached = schemaCache.get(sobjectType);
+  if (cached && Date.now() - cached.describedAt < CONFIG.schemaCacheMinutes * 60 * 1000) {
+    return cached;
+  }
 
-      if (result.records.length > 0) {
-        console.log(`✅ Found account by Domain__c: ${result.records[0].Name}`);
-        return result.records[0];
-      }
-    } catch (e) {
-      // Domain__c field might not exist, ignore
+  try {
+    const describe = await sfCall(`describe ${sobjectType}`, connection => connection.sobject(sobjectType).describe());
+    const schema = {
+      fields: new Map(describe.fields.map(field => [field.name, field])),
+      describedAt: Date.now(),
+    };
+    schemaCache.set(sobjectType, schema);
+    return schema;
+  } catch (error) {
+    if (error.errorCode === 'NOT_FOUND') {
+      const schema = { missing: true, describedAt: Date.now() };
+      schemaCache.set(sobjectType, schema);
+      return schema;
     }
 
-    return null;
-  } catch (error) {
-    console.error('❌ Error searching for account by domain:', error.message);
-    return null;
+    console.error(`❌ Error describing ${sobjectType}:`, error.message);
+    return cached || null;
   }
 }
 
 /**
- * Check if account has an active Gong subscription
- * Looks for Ruby__Subscription__c where:
- * - Customer_Account_Id__c = accountId
- * - Ruby__Status__c = 'Active'
- * - Ruby__BillingAccount__c = Gong Reseller Account ID
+ * Whether a field exists on an object (assumed to exist when the schema is unknown)
  */
-async function findActiveGongSubscription(accountId) {
-  try {
-    if (!CONFIG.gongResellerAccountId) {
-      console.log('⚠️ Gong Reseller Account ID not cached, cannot check subscriptions');
-      return null;
-    }
-
-    console.log(`🔍 Checking for active Gong subscription for account: ${accountId}`);
-
-    const result = await sfQuery(
-      `SELECT Id, Name, Ruby__Status__c, Ruby__BillingAccount__c, Ruby__Quantity__c,
-              Ruby__ProductName__c, Ruby__SubscriptionStartDate__c, Ruby__SubscriptionEndDate__c
-       FROM Ruby__Subscription__c
-       WHERE Customer_Account_Id__c = '${accountId}'
-       AND Ruby__Status__c = 'Active'
-       AND Ruby__BillingAccount__c = '${CONFIG.gongResellerAccountId}'
-       LIMIT 1`
-    );
-
-    if (result.records.length > 0) {
-      console.log(`✅ Found active Gong subscription: ${result.records[0].Name}`);
-      return result.records[0];
-    }
-
-    console.log('ℹ️ No active Gong subscription found');
-    return null;
-  } catch (error) {
-    // Ruby__Subscription__c object might not exist or field names might be different
-    console.error('❌ Error checking for Gong subscription:', error.message);
-    return null;
+async function hasField(sobjectType, fieldName) {
+  const schema = await getObjectSchema(sobjectType);
+  if (!schema) {
+    return true;
   }
+  return !schema.missing && schema.fields.has(fieldName);
 }
 
 /**
- * Search for an Account by name (fallback)
+ * Whether a field exists and can be set on create (assumed when the schema is unknown)
  */
-async function findAccountByName(accountName) {
-  try {
-    // Try exact match first
-    let result = await sfQuery(
-      `SELECT Id, Name, Type
-       FROM Account
-       WHERE Name = '${accountName.replace(/'/g, "\\'")}'
-       LIMIT 1`
-    );
-
-    if (result.records.length > 0) {
-      return result.records[0];
-    }
-
-    // Try LIKE match (contains)
-    result = await sfQuery(
-      `SELECT Id, Name, Type
-       FROM Account
-       WHERE Name LIKE '%${accountName.replace(/'/g, "\\'")}%'
-       LIMIT 1`
-    );
-
-    if (result.records.length > 0) {
-      return result.records[0];
-    }
-
-    return null;
-  } catch (error) {
-    console.error('❌ Error searching for account by name:', error.message);
-    return null;
+async function isCreateableField(sobjectType, fieldName) {
+  const schema = await getObjectSchema(sobjectType);
+  if (!schema) {
+    return true;
   }
+  const field = !schema.missing && schema.fields.get(fieldName);
+  return Boolean(field && field.createable);
 }
 
 /**
- * Create a new Contact in Salesforce
+ * Drop fields that don't exist or lack the given permission ('createable' or 'updateable')
+ * @returns {Promise<{fields: Object, skippedFields: string[]}>}
  */
-async function createContact(firstName, lastName, email, accountId) {
-  try {
-    const contactData = {
-      FirstName: firstName,
-      LastName: lastName,
-      Email: email,
-      AccountId: accountId,
-    };
-
-    const result = await sfConnection.sobject('Contact').create(contactData);
-
-    if (result.success) {
-      console.log(`✅ Created Contact: ${firstName} ${lastName} (${result.id})`);
-
-      // Fetch the full contact record to return
-      const contact = await sfQuery(
-        `SELECT Id, Name, Email, AccountId, Account.Id, Account.Name, Account.Type
-         FROM Contact
-         WHERE Id = '${result.id}'
-         LIMIT 1`
-      );
-
-      if (contact.records.length > 0) {
-        return contact.records[0];
-      }
+async function filterWritableFields(sobjectType, data, permission) {
+  const schema = await getObjectSchema(sobjectType);
+  if (!schema || schema.missing) {
+    return { fields: data, skippedFields: [] };
+  }
 
-      // Return basic info if query fails
-      return {
-        Id: result.id,
-        Name: `${firstName} ${lastName}`,
-        Email: email,
-        AccountId: accountId,
-      };
+  const fields = {};
+  const skippedFields = [];
+  for (const [name, value] of Object.entries(data)) {
+    const field = schema.fields.get(name);
+    if (name === 'Id' || (field && field[permission])) {
+      fields[name] = value;
     } else {
-      console.error('❌ Failed to create contact:', result.errors);
-      return null;
+      skippedFields.push(name);
     }
-  } catch (error) {
-    console.error('❌ Error creating contact:', error.message);
-    return null;
   }
+
+  if (skippedFields.length > 0) {
+    console.warn(`⚠️ Not setting ${sobjectType} fields missing in Salesforce or not ${permission}: ${skippedFields.join(', ')}`);
+  }
+
+  return { fields, skippedFields };
 }
 
 /**
- * Create a new Opportunity for a Prospect account
+ * Field values the templates and channel defaults will write, by object
+ * (values with placeholders are left out of picklist checks)
  */
-async function createOpportunity(contact, account, customerName) {
-  try {
-    // Calculate close date (30 days from now)
-    const closeDate = new Date();
-    closeDate.setDate(closeDate.getDate() + 30);
-    const closeDateStr = closeDate.toISOString().split('T')[0];
+function getConfiguredFieldValues() {
+  const configured = { Opportunity: [], Quote: [] };
+  const templates = [RECORD_TEMPLATES.default, ...Object.values(RECORD_TEMPLATES.accountTypes)];
 
-    // Build opportunity name: "Account Name - Inbound"
-    const oppName = `${account.Name} - Inbound`;
+  for (const template of templates) {
+    configured.Opportunity.push(template.opportunity || {});
+    configured.Quote.push(template.quote || {});
+  }
+  for (const channel of CHANNELS.values()) {
+    configured.Opportunity.push(channel.opportunityFields);
+  }
 
-    const opportunityData = {
-      Name: oppName,
-      AccountId: account.Id,
-      StageName: 'Demo', // From your screenshot
-      CloseDate: closeDateStr,
-      Type: 'New Business',
-      LeadSource: 'Partner', // Since it's from Gong
-      // Hardcoded fields for all Gong License Bot requests
-      Won_Lost_Reason__c: 'Gong Reseller Referral',
-      Main_Competitor__c: 'No Competitor',
-      MSA_Redlines__c: 'No',
-    };
+  return configured;
+}
 
-    // Add BillingAccount if we have the Gong Reseller Account ID cached
-    if (CONFIG.gongResellerAccountId) {
-      opportunityData.BillingAccount__c = CONFIG.gongResellerAccountId;
+/**
+ * Describe the objects the bot uses and compare them with the fields and picklist
+ * values it expects (SCHEMA_EXPECTATIONS, record templates and channel defaults)
+ * @returns {Promise<string[]>} Drift descriptions, empty when the org matches
+ */
+async function checkSalesforceSchema() {
+  const drift = [];
+  const configured = getConfiguredFieldValues();
+
+  for (const sobjectType of SCHEMA_OBJECTS) {
+    const schema = await getObjectSchema(sobjectType);
+    if (!schema) {
+      drift.push(`${sobjectType}: could not be described`);
+      continue;
     }
-
-    // Add Contact fields if we have the contact ID
-    if (contact && contact.Id) {
-      opportunityData.OnBoarding_Contact__c = contact.Id;
-      opportunityData.Primary_Contact__c = contact.Id;
+    if (schema.missing) {
+      drift.push(`${sobjectType}: object does not exist`);
+      continue;
     }
 
-    const result = await sfConnection.sobject('Opportunity').create(opportunityData);
+    const expectations = SCHEMA_EXPECTATIONS[sobjectType] || {};
+    for (const name of expectations.fields || []) {
+      if (!schema.fields.has(name)) {
+        drift.push(`${sobjectType}.${name}: field does not exist`);
+      }
+    }
+    for (const name of expectations.optional || []) {
+      if (!schema.fields.has(name)) {
+        console.log(`ℹ️ Optional field ${sobjectType}.${name} does not exist - it will be skipped`);
+      }
+    }
 
-    if (result.success) {
-      console.log(`✅ Created Opportunity: ${oppName} (${result.id})`);
-      console.log(`   AccountId: ${account.Id}`);
-      console.log(`   BillingAccount__c: ${CONFIG.gongResellerAccountId || 'not set'}`);
-      console.log(`   OnBoarding_Contact__c: ${contact?.Id || 'not set'}`);
-      return {
-        id: result.id,
-        name: oppName,
-        url: `${CONFIG.sfInstanceUrl}/lightning/r/Opportunity/${result.id}/view`,
-      };
-    } else {
-      console.error('❌ Failed to create opportunity:', result.errors);
-      return null;
+    // Picklist values: fixed expectations plus every templated value
+    const expectedValues = Object.entries(expectations.picklistValues || {})
+      .flatMap(([name, values]) => values.map(value => [name, value]));
+    for (const fields of configured[sobjectType] || []) {
+      for (const [name, value] of Object.entries(fields)) {
+        const field = schema.fields.get(name);
+        if (!field) {
+          drift.push(`${sobjectType}.${name}: field in the templates does not exist`);
+        } else if (!field.createable) {
+          drift.push(`${sobjectType}.${name}: field in the templates cannot be set on create`);
+        } else if (typeof value === 'string' && !value.match(TEMPLATE_PLACEHOLDER_PATTERN)) {
+          expectedValues.push([name, value]);
+        }
+      }
     }
-  } catch (error) {
-    console.error('❌ Error creating opportunity:', error.message);
 
-    // If a custom field doesn't exist, try without it
-    if (error.message.includes('BillingAccount__c') || error.message.includes('OnBoarding_Contact__c') || error.message.includes('No such column')) {
-      console.log('â ï¸ Custom field not found, retrying with basic fields...');
-      return await createOpportunityWithoutCustomFields(contact, account);
+    for (const [name, value] of expectedValues) {
+      const field = schema.fields.get(name);
+      if (!field || (field.type !== 'picklist' && field.type !== 'multipicklist')) {
+        continue;
+      }
+      const active = (field.picklistValues || []).filter(entry => entry.active).map(entry => entry.value);
+      if (!active.includes(value)) {
+        drift.push(`${sobjectType}.${name}: picklist value "${value}" does not exist or is inactive`);
+      }
     }
+  }
 
-    return null;
+  // The same template value is often listed for several account types
+  const uniqueDrift = [...new Set(drift)];
+
+  if (uniqueDrift.length > 0) {
+    console.warn(`⚠️ Salesforce schema drift (${uniqueDrift.length}):`);
+    uniqueDrift.forEach(line => console.warn(`   ${line}`));
+  } else {
+    console.log(`✅ Salesforce schema matches (${SCHEMA_OBJECTS.join(', ')})`);
   }
+
+  return uniqueDrift;
 }
 
 /**
- * Create opportunity without custom fields (fallback)
+ * Post the schema drift found at startup to Slack
  */
-async function createOpportunityWithoutCustomFields(contact, account) {
-  try {
-    const closeDate = new Date();
-    closeDate.setDate(closeDate.getDate() + 30);
-    const closeDateStr = closeDate.toISOString().split('T')[0];
-
-    const oppName = `${account.Name} - Inbound`;
-
-    const opportunityData = {
-      Name: oppName,
-      AccountId: account.Id,
-      StageName: 'Demo',
-      CloseDate: closeDateStr,
-      Type: 'New Business',
-      LeadSource: 'Partner',
-    };
-
-    const result = await sfConnection.sobject('Opportunity').create(opportunityData);
+async function postSchemaDriftReport(client, drift) {
+  if (drift.length === 0) {
+    return;
+  }
 
-    if (result.success) {
-      console.log(`✅ Created Opportunity (without custom fields): ${oppName} (${result.id})`);
-      return {
-        id: result.id,
-        name: oppName,
-        url: `${CONFIG.sfInstanceUrl}/lightning/r/Opportunity/${result.id}/view`,
-        note: 'â ï¸ Note: BillingAccount__c and OnBoarding_Contact__c were not set - please add manually',
-      };
-    }
-    return null;
+  try {
+    await client.chat.postMessage({
+      channel: CONFIG.schemaReportChannel || getChannelSettings(null).id,
+      text: `⚠️ *Salesforce schema drift found at startup*\n\n` +
+        `${drift.map(line => `• ${line}`).join('\n')}\n\n` +
+        `Missing fields are left out of new records. Please update the templates or the org.`,
+      unfurl_links: false,
+    });
   } catch (error) {
-    console.error('❌ Error creating opportunity (fallback):', error.message);
-    return null;
+    console.error('❌ Error posting schema drift report:', error.message);
   }
 }
 
+// Salesforce record IDs: 15 case-sensitive or 18 case-insensitive alphanumeric characters
+const SALESFORCE_ID_PATTERN = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+
 /**
- * Create a Quote for an Opportunity
+ * A piece of SOQL that has already been escaped and is inserted as-is by soql``
  */
-async function createQuote(opportunityId, accountName, licenseType, licenseCount) {
-  try {
-    // Calculate expiration date (30 days from now)
-    const expirationDate = new Date();
-    expirationDate.setDate(expirationDate.getDate() + 30);
-    const expirationDateStr = expirationDate.toISOString().split('T')[0];
-
-    // Build quote name
-    const quoteName = `${accountName} - Gong License Quote`;
-
-    const quoteData = {
-      Name: quoteName,
-      OpportunityId: opportunityId,
-      Status: 'Draft',
-      ExpirationDate: expirationDateStr,
-    };
-
-    // Add Billing Account if available
-    if (CONFIG.gongResellerAccountId) {
-      quoteData.BillingAccount__c = CONFIG.gongResellerAccountId;
-    }
-
-    console.log(`📝 Creating Quote: ${quoteName}`);
-    console.log(`   OpportunityId: ${opportunityId}`);
-    console.log(`   License Type: ${licenseType}`);
-    console.log(`   License Count: ${licenseCount}`);
-
-    const result = await sfConnection.sobject('Quote').create(quoteData);
-
-    if (result.success) {
-      console.log(`✅ Created Quote: ${quoteName} (${result.id})`);
-
-      // Now create the Quote Line Item
-      const lineItemCreated = await createQuoteLineItem(result.id, licenseType, licenseCount);
-
-      return {
-        id: result.id,
-        name: quoteName,
-        url: `${CONFIG.sfInstanceUrl}/lightning/r/Quote/${result.id}/view`,
-        lineItemCreated: lineItemCreated,
-      };
-    } else {
-      console.error('❌ Failed to create quote:', result.errors);
-      return null;
-    }
-  } catch (error) {
-    console.error('❌ Error creating quote:', error.message);
-
-    // If BillingAccount__c doesn't exist, try without it
-    if (error.message.includes('BillingAccount__c') || error.message.includes('No such column')) {
-      console.log('⚠️ BillingAccount__c field not found on Quote, retrying without it...');
-      return await createQuoteWithoutBillingAccount(opportunityId, accountName, licenseType, licenseCount);
-    }
-
-    return null;
+class SoqlFragment {
+  constructor(text) {
+    this.text = text;
   }
 }
 
 /**
- * Create Quote without Billing Account field (fallback)
+ * Escape a value for use inside a quoted SOQL string literal
  */
-async function createQuoteWithoutBillingAccount(opportunityId, accountName, licenseType, licenseCount) {
-  try {
-    const expirationDate = new Date();
-    expirationDate.setDate(expirationDate.getDate() + 30);
-    const expirationDateStr = expirationDate.toISOString().split('T')[0];
-
-    const quoteName = `${accountName} - Gong License Quote`;
-
-    const quoteData = {
-      Name: quoteName,
-      OpportunityId: opportunityId,
-      Status: 'Draft',
-      ExpirationDate: expirationDateStr,
-    };
-
-    const result = await sfConnection.sobject('Quote').create(quoteData);
+function escapeSoqlString(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+}
 
-    if (result.success) {
-      console.log(`✅ Created Quote (without BillingAccount): ${quoteName} (${result.id})`);
+/**
+ * A Salesforce ID literal - throws if the value is not a 15/18 character ID,
+ * so request data can never end up in an Id comparison
+ */
+function soqlId(value) {
+  if (typeof value !== 'string' || !SALESFORCE_ID_PATTERN.test(value)) {
+    throw new Error(`Invalid Salesforce ID: ${JSON.stringify(value)}`);
+  }
+  return new SoqlFragment(`'${value}'`);
+}
 
-      // Create the Quote Line Item
-      const lineItemCreated = await createQuoteLineItem(result.id, licenseType, licenseCount);
+/**
+ * A LIKE pattern that matches the value anywhere in the field, with % and _ in the value matched literally
+ */
+function soqlContains(value) {
+  const escaped = escapeSoqlString(value).replace(/%/g, '\\%').replace(/_/g, '\\_');
+  return new SoqlFragment(`'%${escaped}%'`);
+}
 
-      return {
-        id: result.id,
-        name: quoteName,
-        url: `${CONFIG.sfInstanceUrl}/lightning/r/Quote/${result.id}/view`,
-        lineItemCreated: lineItemCreated,
-        note: '⚠️ BillingAccount not set on quote - please add manually',
-      };
+/**
+ * Render one interpolated value as SOQL
+ */
+function toSoqlLiteral(value) {
+  if (value instanceof SoqlFragment) {
+    return value.text;
+  }
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid SOQL number: ${value}`);
     }
-    return null;
-  } catch (error) {
-    console.error('❌ Error creating quote (fallback):', error.message);
-    return null;
+    return String(value);
   }
+  if (typeof value === 'boolean') {
+    return value ? 'true' : 'false';
+  }
+  return `'${escapeSoqlString(value)}'`;
 }
 
 /**
- * Create a Quote Line Item with the appropriate product
+ * Tagged template for building queries. Interpolated values become escaped
+ * literals (strings are quoted), so never put quotes around ${...}:
+ *   soql`SELECT Id FROM Contact WHERE Email = ${email} AND AccountId = ${soqlId(accountId)}`
  */
-async function createQuoteLineItem(quoteId, licenseType, quantity) {
-  try {
-    // Get the correct Price Book Entry ID based on license type
-    const priceBookEntryId = licenseType === 'chilical'
-      ? CONFIG.priceBookEntries.chilical
-      : CONFIG.priceBookEntries.handoff;
+function soql(strings, ...values) {
+  return strings.reduce((query, part, i) => query + part + (i < values.length ? toSoqlLiteral(values[i]) : ''), '');
+}
 
-    const productName = licenseType === 'chilical'
-      ? 'ChiliCal Teams License (Monthly)'
-      : 'Handoff License (Monthly)';
+/**
+ * Initialize Salesforce connection using Client Credentials Flow (OAuth2)
+ */
+async function initSalesforce() {
+  try {
+    const clientId = process.env.SF_CLIENT_ID;
+    const clientSecret = process.env.SF_CLIENT_SECRET;
+    const loginUrl = process.env.SF_LOGIN_URL || 'https://login.salesforce.com';
+
+    // Use Client Credentials Flow (OAuth2)
+    const tokenResponse = await fetch(`${loginUrl}/services/oauth2/token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: clientId,
+        client_secret: clientSecret,
+      }),
+    });
+
+    if (!tokenResponse.ok) {
+      const errorText = await tokenResponse.text();
+      throw new Error(`OAuth failed: ${tokenResponse.status} - ${errorText}`);
+    }
+
+    const tokenData = await tokenResponse.json();
+
+    // Create connection with the access token
+    sfConnection = new jsforce.Connection({
+      instanceUrl: tokenData.instance_url,
+      accessToken: tokenData.access_token,
+    });
+
+    // Set token expiry (Salesforce tokens last ~2 hours, refresh after 1.5 hours to be safe)
+    sfTokenExpiry = Date.now() + (90 * 60 * 1000); // 90 minutes
+    sfTokenIssuedAt = Date.now();
+    sfLastAuthError = null;
+
+    console.log('✅ Connected to Salesforce (Client Credentials Flow)');
+    console.log(`   Instance URL: ${tokenData.instance_url}`);
+    console.log(`   Token expires at: ${new Date(sfTokenExpiry).toISOString()}`);
+
+    // Cache the Gong Reseller Account ID if not already set
+    if (!CONFIG.gongResellerAccountId) {
+      await cacheGongResellerAccountId();
+    }
+
+    return true;
+  } catch (error) {
+    console.error('❌ Salesforce connection failed:', error.message);
+    sfLastAuthError = error.message;
+    return false;
+  }
+}
+
+/**
+ * Cache the Gong Reseller Account ID for faster opportunity creation
+ */
+async function cacheGongResellerAccountId() {
+  try {
+    const result = await sfQuery(
+      soql`SELECT Id, Name FROM Account WHERE Name = ${CONFIG.gongResellerAccountName} LIMIT 1`
+    );
+
+    if (result.records.length > 0) {
+      CONFIG.gongResellerAccountId = result.records[0].Id;
+      console.log(`✅ Cached Gong Reseller Account ID: ${CONFIG.gongResellerAccountId}`);
+    } else {
+      console.warn(`â ï¸ Could not find account named "${CONFIG.gongResellerAccountName}"`);
+    }
+  } catch (error) {
+    console.error('❌ Error caching Gong Reseller Account ID:', error.message);
+  }
+}
+
+/**
+ * @typedef {Object} LicenseRequest
+ * @property {string|null} company - Customer (company) name
+ * @property {{firstName: string|null, middleName: string|null, lastName: string|null, email: string|null}} admin
+ * @property {Array<{product: string, quantity: number}>} items - Requested products (catalog keys) and license counts
+ * @property {Object<string, string>} extraFields - Any other "Label: value" fields in the message
+ * @property {Object<string, string>} errors - Validation errors keyed by field
+ * @property {Object<string, boolean>} defaulted - Fields that were not found and got a default value
+ */
+
+// Fields that must be parsed (not guessed) before the bot creates any records
+const REQUIRED_REQUEST_FIELDS = ['email', 'product', 'quantity'];
+
+// Human readable field names used in thread replies
+const REQUEST_FIELD_LABELS = {
+  company: 'Customer Name',
+  adminName: 'Customer Admin name',
+  email: 'Customer Admin email',
+  product: 'License Type',
+  quantity: 'License Count',
+};
+
+const EMAIL_PATTERN = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/;
+const NAME_PART_PATTERN = /^[A-Za-zÀ-ÖØ-öø-ÿ'.-]+$/;
+
+/**
+ * Flatten a Slack message into text for request detection and parsing.
+ * Zapier can post plain text, Block Kit blocks or legacy attachments, so all
+ * of them are read and field lists are turned into "Label: value" lines.
+ */
+function getMessageText(message) {
+  const lines = [];
+
+  if (message.text) {
+    lines.push(message.text);
+  }
+
+  for (const block of message.blocks || []) {
+    lines.push(...blockToLines(block));
+  }
+
+  for (const attachment of message.attachments || []) {
+    const attachmentLines = [];
+
+    if (attachment.pretext) attachmentLines.push(attachment.pretext);
+    if (attachment.title) attachmentLines.push(attachment.title);
+    if (attachment.text) attachmentLines.push(attachment.text);
+
+    for (const field of attachment.fields || []) {
+      attachmentLines.push(`${(field.title || '').replace(/:\s*$/, '')}: ${field.value || ''}`);
+    }
+
+    for (const block of attachment.blocks || []) {
+      attachmentLines.push(...blockToLines(block));
+    }
+
+    // Fallback is a plain text copy of the attachment, only useful on its own
+    if (attachmentLines.length === 0 && attachment.fallback) {
+      attachmentLines.push(attachment.fallback);
+    }
+
+    lines.push(...attachmentLines);
+  }
+
+  return lines.filter(Boolean).join('\n');
+}
+
+/**
+ * Convert a Block Kit block into text lines
+ */
+function blockToLines(block) {
+  switch (block.type) {
+    case 'header':
+      return [block.text?.text];
+    case 'section':
+      return [
+        block.text?.text,
+        ...(block.fields || []).map(field => sectionFieldToLine(field.text || '')),
+      ];
+    case 'context':
+      return (block.elements || []).map(element => element.text);
+    case 'rich_text':
+      return [richTextToString(block.elements || [])];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Section fields are usually "*Label*\nvalue" - make them "Label: value"
+ */
+function sectionFieldToLine(text) {
+  const newlinePos = text.indexOf('\n');
+  if (newlinePos < 0) {
+    return text;
+  }
+
+  const label = text.substring(0, newlinePos).replace(/\*/g, '').replace(/:\s*$/, '').trim();
+  return `${label}: ${text.substring(newlinePos + 1).trim()}`;
+}
+
+/**
+ * Flatten rich_text elements (sections, lists, quotes) into plain text
+ */
+function richTextToString(elements) {
+  return elements.map(element => {
+    switch (element.type) {
+      case 'rich_text_section':
+      case 'rich_text_preformatted':
+      case 'rich_text_quote':
+        return richTextToString(element.elements || []);
+      case 'rich_text_list':
+        return (element.elements || []).map(item => richTextToString([item])).join('\n');
+      case 'text':
+        return element.text;
+      case 'link':
+        return element.text || element.url.replace(/^mailto:/, '');
+      case 'emoji':
+        return `:${element.name}:`;
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * Whether a Slack message is a Zapier license request for the channel
+ */
+function isLicenseRequestMessage(message, channel) {
+  return getMessageText(message).includes(channel.trigger);
+}
+
+/**
+ * Strip Slack formatting from a Zapier message so it can be parsed as plain text
+ */
+function cleanSlackText(text) {
+  return (text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/<mailto:([^|>]+)\|[^>]+>/g, '$1')  // <mailto:email|display> -> email
+    .replace(/<mailto:([^>]+)>/g, '$1')          // <mailto:email> -> email
+    .replace(/<[^|>]+\|([^>]+)>/g, '$1')         // <url|label> -> label
+    .replace(/<([^>]+)>/g, '$1')                 // <url> -> url
+    .replace(/\*/g, '');                         // Remove bold markers
+}
+
+/**
+ * Collect "Label: value" lines into a map keyed by lowercased label.
+ * A label with nothing after the colon takes its value from the next line.
+ */
+function parseLabeledFields(cleanText) {
+  const labelPattern = /^\s*(?:[•-]\s*)?([A-Za-z][A-Za-z0-9 #&/()'-]{0,40}?)\s*:\s*(.*)$/;
+  const lines = cleanText.split('\n');
+  const fields = {};
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(labelPattern);
+    if (!match || match[2].startsWith('//')) {
+      continue;
+    }
+
+    let value = match[2].trim();
+    if (!value && i + 1 < lines.length && !labelPattern.test(lines[i + 1])) {
+      value = lines[i + 1].trim();
+      i++;
+    }
+
+    fields[match[1].trim().toLowerCase()] = value;
+  }
+
+  return fields;
+}
+
+/**
+ * Take the first non-empty field out of the map, so whatever is left over
+ * ends up in extraFields
+ */
+function takeField(fields, labels) {
+  let value = null;
+  for (const label of labels) {
+    if (label in fields) {
+      if (!value && fields[label]) {
+        value = fields[label];
+      }
+      delete fields[label];
+    }
+  }
+  return value;
+}
+
+/**
+ * Split the "Customer Admin" value into name parts and email
+ */
+function parseAdmin(adminValue, emailValue) {
+  const admin = { firstName: null, middleName: null, lastName: null, email: null };
+
+  const emailMatch = (adminValue || '').match(EMAIL_PATTERN) || (emailValue || '').match(EMAIL_PATTERN);
+  if (emailMatch) {
+    admin.email = emailMatch[0].toLowerCase().trim();
+  }
+
+  const nameParts = (adminValue || '')
+    .replace(EMAIL_PATTERN, ' ')
+    .replace(/[()<>,|]/g, ' ')
+    .split(/\s+/)
+    .filter(part => part && part !== '-' && NAME_PART_PATTERN.test(part));
+
+  if (nameParts.length === 1) {
+    admin.firstName = nameParts[0];
+  } else if (nameParts.length > 1) {
+    admin.firstName = nameParts[0];
+    admin.lastName = nameParts[nameParts.length - 1];
+    if (nameParts.length > 2) {
+      admin.middleName = nameParts.slice(1, -1).join(' ');
+    }
+  }
+
+  return admin;
+}
+
+/**
+ * Find the catalog product mentioned in a piece of text
+ */
+function findProductKey(text) {
+  const source = (text || '').toLowerCase();
+  const match = PRODUCT_CATALOG.aliases.find(({ alias }) => source.includes(alias));
+  return match ? match.key : null;
+}
+
+/**
+ * Split a list value like "Handoff, ChiliCal" or "10 and 5"
+ */
+function splitListValue(value) {
+  return value.split(/\s*(?:,|;|\/|&|\+|\band\b)\s*/i).filter(Boolean);
+}
+
+/**
+ * Drop thousands separators ("1,000" -> "1000") so they aren't read as list separators
+ */
+function stripThousandsSeparators(value) {
+  return value && value.replace(/(\d),(?=\d{3}\b)/g, '$1');
+}
+
+/**
+ * Parse a license count, or null if it isn't a positive whole number
+ */
+function parseCount(value) {
+  const countValue = stripThousandsSeparators((value || '').trim());
+  const count = /^\d+$/.test(countValue) ? parseInt(countValue, 10) : 0;
+  return count > 0 ? count : null;
+}
+
+// Field labels that hold a license count, on their own or after a product name ("Handoff License Count")
+const QUANTITY_LABELS = ['license count', 'licenses', 'number of licenses', 'seats', 'number of seats', 'seat count'];
+
+/**
+ * Work out the requested products and license counts. Supports, in order:
+ * - per-product count fields ("Handoff License Count: 10", "ChiliCal Licenses: 5")
+ * - inline pairs in the product field ("Handoff x 10, ChiliCal x 5")
+ * - matching lists ("License Type: Handoff, ChiliCal" + "License Count: 10, 5")
+ * - a single product from the field or message header with a single count
+ */
+function parseLineItems(fields, cleanText, errors, defaulted) {
+  const items = [];
+
+  for (const label of Object.keys(fields)) {
+    // Other fields named after a product (e.g. "Handoff Start Date") aren't counts
+    if (!QUANTITY_LABELS.some(quantityLabel => label.endsWith(quantityLabel))) {
+      continue;
+    }
+    const productKey = findProductKey(label);
+    const count = parseCount(fields[label]);
+    if (productKey && count) {
+      items.push({ product: productKey, quantity: count });
+      delete fields[label];
+    }
+  }
+
+  const productValue = stripThousandsSeparators(takeField(fields, ['license type', 'license types', 'product', 'products']));
+  const quantityValue = stripThousandsSeparators(takeField(fields, QUANTITY_LABELS));
+
+  if (items.length === 0 && productValue && /\d/.test(productValue)) {
+    for (const part of splitListValue(productValue)) {
+      const productKey = findProductKey(part);
+      const countMatch = part.match(/\d+/);
+      if (productKey && countMatch && parseInt(countMatch[0], 10) > 0) {
+        items.push({ product: productKey, quantity: parseInt(countMatch[0], 10) });
+      }
+    }
+  }
+
+  if (items.length === 0) {
+    // Products: explicit list, else whatever the header mentions
+    let products = [];
+    if (productValue) {
+      const parts = splitListValue(productValue);
+      products = parts.map(findProductKey);
+      const unknown = parts.filter((part, i) => !products[i]);
+      if (unknown.length > 0) {
+        errors.product = `unknown license type "${unknown.join('", "')}" ` +
+          `(expected one of: ${PRODUCT_CATALOG.products.map(p => p.name).join(', ')})`;
+        products = [];
+      }
+    } else if (findProductKey(cleanText)) {
+      products = [findProductKey(cleanText)];
+    }
+
+    if (products.length === 0 && !errors.product) {
+      errors.product = `no known license type found (expected one of: ${PRODUCT_CATALOG.products.map(p => p.name).join(', ')})`;
+    }
+
+    // Counts
+    let counts = [];
+    if (quantityValue) {
+      counts = splitListValue(quantityValue).map(parseCount);
+      if (counts.some(count => count === null)) {
+        errors.quantity = `"${quantityValue}" is not a valid license count`;
+        counts = [];
+      }
+    } else {
+      // Loose match, e.g. "240 licenses" wording changes in the Zap template
+      const looseMatch = stripThousandsSeparators(cleanText).match(/license[s]?\s*[:-]?\s*(\d+)/i);
+      if (looseMatch && parseInt(looseMatch[1], 10) > 0) {
+        counts = [parseInt(looseMatch[1], 10)];
+      } else {
+        errors.quantity = 'not found in the request';
+      }
+    }
+
+    if (products.length > 0 && counts.length > 0 && products.length !== counts.length) {
+      errors.quantity = `found ${products.length} license type(s) but ${counts.length} license count(s)`;
+    } else if (products.length > 0 && counts.length > 0) {
+      products.forEach((product, i) => items.push({ product, quantity: counts[i] }));
+    }
+  }
+
+  // The same product twice is almost certainly a form mistake
+  const productKeys = items.map(item => item.product);
+  if (new Set(productKeys).size !== productKeys.length) {
+    errors.product = 'the same license type is listed more than once';
+  }
+
+  if (items.length === 0) {
+    // Nothing usable - keep a placeholder item so callers always have one, flagged as defaulted
+    items.push({ product: PRODUCT_CATALOG.defaultProduct, quantity: 1 });
+    if (errors.product) {
+      defaulted.product = true;
+    }
+    if (errors.quantity) {
+      defaulted.quantity = true;
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Parse a Zapier license request message into a LicenseRequest
+ * @param {string} text - Slack message text (see getMessageText)
+ * @returns {LicenseRequest}
+ */
+function parseLicenseRequest(text) {
+  const cleanText = cleanSlackText(text);
+  const fields = parseLabeledFields(cleanText);
+  const errors = {};
+  const defaulted = {};
+
+  // Company
+  const company = takeField(fields, ['customer name', 'company', 'company name']);
+  if (!company) {
+    errors.company = 'not found in the request';
+  }
+
+  // Admin name and email
+  const admin = parseAdmin(
+    takeField(fields, ['customer admin', 'customer admin name', 'admin']),
+    takeField(fields, ['customer admin email', 'admin email', 'email'])
+  );
+  if (!admin.email) {
+    errors.email = 'no email address found on the Customer Admin line';
+  }
+  if (!admin.firstName || !admin.lastName) {
+    errors.adminName = admin.firstName
+      ? `only one name found ("${admin.firstName}"), need first and last name`
+      : 'no name found on the Customer Admin line';
+  }
+
+  // Products and license counts
+  const items = parseLineItems(fields, cleanText, errors, defaulted);
+
+  const request = {
+    company,
+    admin,
+    items,
+    extraFields: fields,
+    errors,
+    defaulted,
+  };
+
+  console.log(`📋 Parsed license request: ${company || '(no company)'} / ${admin.email || '(no email)'} / ` +
+    `${items.map(item => `${item.product} x ${item.quantity}`).join(', ')}` +
+    `${defaulted.product || defaulted.quantity ? ' (defaulted)' : ''}`);
+
+  return request;
+}
+
+/**
+ * Required fields that were missing, invalid or defaulted
+ */
+function getMissingRequiredFields(request) {
+  return REQUIRED_REQUEST_FIELDS.filter(field => request.errors[field] || request.defaulted[field]);
+}
+
+/**
+ * Describe parse errors for a thread reply, one bullet per field
+ */
+function formatRequestErrors(request, fieldNames) {
+  return fieldNames
+    .map(field => `• *${REQUEST_FIELD_LABELS[field]}:* ${request.errors[field] || 'could not be parsed'}`)
+    .join('\n');
+}
+
+/**
+ * Search for a Contact in Salesforce by email
+ */
+async function findContactByEmail(email) {
+  try {
+    // Clean the email - remove any hidden characters or whitespace
+    const cleanEmail = email.trim().toLowerCase();
+    console.log(`🔍 Searching for contact by email: ${cleanEmail}`);
+
+    const result = await sfQuery(
+      soql`SELECT Id, Name, Email, AccountId, Account.Id, Account.Name, Account.Type
+       FROM Contact
+       WHERE Email = ${cleanEmail}
+       LIMIT 1`
+    );
+
+    if (result.records.length > 0) {
+      console.log(`✅ Found contact: ${result.records[0].Name}`);
+      return result.records[0];
+    }
+
+    console.log(`⚠️ No contact found with email: ${cleanEmail}`);
+    return null;
+  } catch (error) {
+    console.error('❌ Error searching for contact:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Find contact by email AND account ID (more thorough search)
+ * This helps find contacts that might exist on the account even if email search didn't work
+ */
+async function findContactByEmailAndAccount(email, accountId) {
+  try {
+    // First try exact email match on account
+    let result = await sfQuery(
+      soql`SELECT Id, Name, Email, AccountId, Account.Id, Account.Name, Account.Type
+       FROM Contact
+       WHERE Email = ${email} AND AccountId = ${soqlId(accountId)}
+       LIMIT 1`
+    );
+
+    if (result.records.length > 0) {
+      return result.records[0];
+    }
+
+    // Try case-insensitive email search on account
+    result = await sfQuery(
+      soql`SELECT Id, Name, Email, AccountId, Account.Id, Account.Name, Account.Type
+       FROM Contact
+       WHERE AccountId = ${soqlId(accountId)}
+       LIMIT 10`
+    );
+
+    // Check for email match (case-insensitive)
+    const emailLower = email.toLowerCase();
+    for (const contact of result.records) {
+      if (contact.Email && contact.Email.toLowerCase() === emailLower) {
+        return contact;
+      }
+    }
+
+    return null;
+  } catch (error) {
+    console.error('❌ Error searching for contact by email and account:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get Account details by ID
+ */
+async function getAccountById(accountId) {
+  try {
+    const result = await sfQuery(
+      soql`SELECT Id, Name, Type
+       FROM Account
+       WHERE Id = ${soqlId(accountId)}
+       LIMIT 1`
+    );
+
+    if (result.records.length > 0) {
+      return result.records[0];
+    }
+    return null;
+  } catch (error) {
+    console.error('❌ Error fetching account:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the owner of an Account
+ * @returns {Promise<{id: string, name: string, email: string|null, isActive: boolean}|null>}
+ */
+async function getAccountOwner(accountId) {
+  try {
+    const result = await sfQuery(
+      soql`SELECT Id, OwnerId, Owner.Name, Owner.Email, Owner.IsActive
+       FROM Account
+       WHERE Id = ${soqlId(accountId)}
+       LIMIT 1`
+    );
+
+    const account = result.records[0];
+    if (!account || !account.OwnerId) {
+      return null;
+    }
+
+    return {
+      id: account.OwnerId,
+      name: account.Owner ? account.Owner.Name : null,
+      email: account.Owner ? account.Owner.Email : null,
+      isActive: Boolean(account.Owner && account.Owner.IsActive),
+    };
+  } catch (error) {
+    console.error('❌ Error fetching account owner:', error.message);
+    return null;
+  }
+}
+
+// Account types the bot knows how to handle
+const HANDLED_ACCOUNT_TYPES = ['customer', 'prospect', 'ex-customer'];
+
+// Legal suffixes ignored when comparing company names
+const COMPANY_NAME_SUFFIXES = ['inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'gmbh', 'ag', 'sa', 'sas', 'bv', 'plc', 'pty', 'srl'];
+
+// Second-level suffixes where the registrable domain has three labels (e.g. acme.co.uk)
+const MULTI_PART_DOMAIN_SUFFIXES = [
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'ltd.uk', 'plc.uk',
+  'com.au', 'net.au', 'org.au', 'co.nz', 'org.nz', 'co.za', 'co.jp', 'ne.jp', 'or.jp',
+  'co.in', 'net.in', 'com.br', 'com.mx', 'com.ar', 'com.sg', 'com.hk', 'com.tr', 'com.cn',
+  'co.il', 'co.kr', 'com.my', 'com.ph', 'com.pl', 'com.ua', 'co.id', 'co.th',
+];
+
+/**
+ * Get the host of an Account Website value, without protocol, "www.", port or path
+ */
+function normalizeWebsite(website) {
+  return (website || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#:]/)[0]
+    .replace(/\.$/, '');
+}
+
+/**
+ * Reduce a website, host or email domain to its registrable domain,
+ * e.g. "https://eu.acme.com/about" -> "acme.com", "shop.acme.co.uk" -> "acme.co.uk"
+ */
+function normalizeDomain(value) {
+  const labels = normalizeWebsite(value).split('.').filter(Boolean);
+  if (labels.length <= 2) {
+    return labels.join('.');
+  }
+
+  const lastTwo = labels.slice(-2).join('.');
+  return MULTI_PART_DOMAIN_SUFFIXES.includes(lastTwo)
+    ? labels.slice(-3).join('.')
+    : lastTwo;
+}
+
+/**
+ * Whether an email domain belongs to a personal/free email provider
+ */
+function isFreeEmailDomain(domain) {
+  return CONFIG.freeEmailDomains.includes(domain);
+}
+
+/**
+ * Split a company name into comparable words (lowercase, no punctuation or legal suffix)
+ */
+function companyNameTokens(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9À-ÖØ-öø-ÿ]+/g, ' ')
+    .split(' ')
+    .filter(token => token && !COMPANY_NAME_SUFFIXES.includes(token));
+}
+
+/**
+ * Name similarity from 0 to 1 (Dice coefficient over the name words)
+ */
+function companyNameSimilarity(a, b) {
+  const tokensA = new Set(companyNameTokens(a));
+  const tokensB = new Set(companyNameTokens(b));
+  if (tokensA.size === 0 || tokensB.size === 0) {
+    return 0;
+  }
+
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+  return (2 * shared) / (tokensA.size + tokensB.size);
+}
+
+/**
+ * Score an account candidate from 0 to 100 against the request's email domain and company name
+ * @returns {{account: Object, score: number, reasons: string[]}}
+ */
+function scoreAccountCandidate(account, domain, companyName) {
+  let score = 0;
+  const reasons = [];
+
+  // Email domain vs Website / Domain__c
+  if (domain) {
+    const host = normalizeWebsite(account.Website);
+    if (normalizeDomain(host) === domain || normalizeDomain(account.Domain__c) === domain) {
+      score += 60;
+      reasons.push('exact domain');
+    } else if (host.includes(domain)) {
+      score += 15;
+      reasons.push('website contains domain');
+    }
+  }
+
+  // Company name
+  if (companyName) {
+    const similarity = companyNameSimilarity(account.Name, companyName);
+    if (similarity === 1) {
+      score += 45;
+      reasons.push('exact name');
+    } else if (similarity > 0) {
+      score += Math.round(similarity * 30);
+      reasons.push(`name ${Math.round(similarity * 100)}% similar`);
+    }
+  }
+
+  // Account type - partner/reseller/etc. accounts are rarely the customer
+  const accountType = (account.Type || '').toLowerCase();
+  if (HANDLED_ACCOUNT_TYPES.includes(accountType)) {
+    score += 5;
+  } else if (accountType) {
+    score -= 10;
+    reasons.push(`type ${account.Type}`);
+  }
+
+  // Recent activity
+  if (account.LastActivityDate) {
+    const daysSinceActivity = (Date.now() - new Date(account.LastActivityDate).getTime()) / (24 * 60 * 60 * 1000);
+    if (daysSinceActivity <= 90) {
+      score += 10;
+      reasons.push('active in the last 90 days');
+    } else if (daysSinceActivity <= 365) {
+      score += 5;
+    }
+  }
+
+  return { account, score: Math.max(0, Math.min(100, score)), reasons };
+}
+
+/**
+ * Search for candidate Accounts by email domain (Website, or Domain__c when the field exists)
+ */
+async function findAccountCandidatesByDomain(domain) {
+  try {
+    console.log(`ð Searching for accounts by domain: ${domain}`);
+
+    const result = await sfQuery(
+      soql`SELECT Id, Name, Type, Website, LastActivityDate
+       FROM Account
+       WHERE Website LIKE ${soqlContains(domain)}
+       LIMIT 10`
+    );
+    const candidates = result.records;
+
+    if (await hasField('Account', 'Domain__c')) {
+      const domainResult = await sfQuery(
+        soql`SELECT Id, Name, Type, Website, LastActivityDate, Domain__c
+         FROM Account
+         WHERE Domain__c = ${domain}
+         LIMIT 10`
+      );
+      candidates.push(...domainResult.records);
+    }
+
+    return candidates;
+  } catch (error) {
+    console.error('❌ Error searching for accounts by domain:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Search for candidate Accounts by company name (exact, then contains)
+ */
+async function findAccountCandidatesByName(accountName) {
+  try {
+    const exact = await sfQuery(
+      soql`SELECT Id, Name, Type, Website, LastActivityDate
+       FROM Account
+       WHERE Name = ${accountName}
+       LIMIT 10`
+    );
+
+    const contains = await sfQuery(
+      soql`SELECT Id, Name, Type, Website, LastActivityDate
+       FROM Account
+       WHERE Name LIKE ${soqlContains(accountName)}
+       LIMIT 10`
+    );
+
+    return [...exact.records, ...contains.records];
+  } catch (error) {
+    console.error('❌ Error searching for accounts by name:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Find the Account for a request by email domain and company name.
+ * Candidates are ranked by score; the best one is only picked when it clears
+ * CONFIG.accountMatchThreshold and leads the runner-up by CONFIG.accountMatchMargin.
+ * Free email domains (gmail.com etc.) are not used for matching.
+ * @returns {Promise<{account: Object|null, matchedBy: string|null, candidates: Array, freeEmailDomain: string|null}>}
+ */
+async function resolveAccount(email, companyName) {
+  const emailDomain = normalizeDomain(email.split('@')[1] || '');
+  const freeEmailDomain = isFreeEmailDomain(emailDomain) ? emailDomain : null;
+  const domain = freeEmailDomain ? null : emailDomain;
+
+  if (freeEmailDomain) {
+    console.warn(`⚠️ ${freeEmailDomain} is a free email provider, matching account by company name only`);
+  }
+
+  const records = [
+    ...(domain ? await findAccountCandidatesByDomain(domain) : []),
+    ...(companyName ? await findAccountCandidatesByName(companyName) : []),
+  ];
+
+  // Same account can come back from several searches
+  const byId = new Map();
+  for (const record of records) {
+    byId.set(record.Id, { ...byId.get(record.Id), ...record });
+  }
+
+  const candidates = [...byId.values()]
+    .map(account => scoreAccountCandidate(account, domain, companyName))
+    .sort((a, b) => b.score - a.score);
+
+  for (const candidate of candidates.slice(0, 5)) {
+    console.log(`   ${candidate.score} - ${candidate.account.Name} (${candidate.account.Id}) ${candidate.reasons.join(', ')}`);
+  }
+
+  const [best, runnerUp] = candidates;
+  const confident = best &&
+    best.score >= CONFIG.accountMatchThreshold &&
+    (!runnerUp || best.score - runnerUp.score >= CONFIG.accountMatchMargin);
+
+  if (!confident) {
+    return { account: null, matchedBy: null, candidates, freeEmailDomain };
+  }
+
+  const matchedByDomain = best.reasons.some(reason => reason.includes('domain'));
+  console.log(`✅ Matched account: ${best.account.Name} (score ${best.score})`);
+  return {
+    account: best.account,
+    matchedBy: matchedByDomain ? 'account_found_by_domain' : 'account_found_by_name',
+    candidates,
+    freeEmailDomain,
+  };
+}
+
+/**
+ * Check if account has an active Gong subscription
+ * Looks for Ruby__Subscription__c where:
+ * - Customer_Account_Id__c = accountId
+ * - Ruby__Status__c = 'Active'
+ * - Ruby__BillingAccount__c = Gong Reseller Account ID
+ */
+async function findActiveGongSubscription(accountId) {
+  const subscriptions = await findActiveGongSubscriptions(accountId);
+  return subscriptions.length > 0 ? subscriptions[0] : null;
+}
+
+/**
+ * Get all active Gong subscriptions on an account (one per product)
+ */
+async function findActiveGongSubscriptions(accountId) {
+  try {
+    if (!CONFIG.gongResellerAccountId) {
+      console.log('⚠️ Gong Reseller Account ID not cached, cannot check subscriptions');
+      return [];
+    }
+
+    console.log(`🔍 Checking for active Gong subscription for account: ${accountId}`);
+
+    const result = await sfQuery(
+      soql`SELECT Id, Name, Ruby__Status__c, Ruby__BillingAccount__c, Ruby__Quantity__c,
+              Ruby__ProductName__c, Ruby__SubscriptionStartDate__c, Ruby__SubscriptionEndDate__c
+       FROM Ruby__Subscription__c
+       WHERE Customer_Account_Id__c = ${soqlId(accountId)}
+       AND Ruby__Status__c = 'Active'
+       AND Ruby__BillingAccount__c = ${soqlId(CONFIG.gongResellerAccountId)}
+       ORDER BY Ruby__SubscriptionStartDate__c DESC`
+    );
+
+    if (result.records.length > 0) {
+      console.log(`✅ Found active Gong subscription: ${result.records.map(r => r.Name).join(', ')}`);
+      return result.records;
+    }
+
+    console.log('ℹ️ No active Gong subscription found');
+    return [];
+  } catch (error) {
+    // Ruby__Subscription__c object might not exist or field names might be different
+    console.error('❌ Error checking for Gong subscription:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Work out the seat change for each requested product against the customer's
+ * active subscriptions. Each change is one of increase, decrease, no_change or
+ * no_subscription - only increases are ever applied automatically.
+ */
+function planSubscriptionChanges(items, subscriptions) {
+  return items.map(item => {
+    const product = getProduct(item.product);
+
+    // Only a subscription for the same product can be amended; anything else is left to the reviewer
+    const subscription = subscriptions.find(sub => {
+      const subscriptionProduct = (sub.Ruby__ProductName__c || '').toLowerCase();
+      return subscriptionProduct.includes(product.name.toLowerCase()) ||
+        product.aliases.some(alias => subscriptionProduct.includes(alias.toLowerCase()));
+    });
+
+    if (!subscription) {
+      return { item, product, subscription: null, action: 'no_subscription' };
+    }
+
+    const currentQuantity = Number(subscription.Ruby__Quantity__c) || 0;
+    const newQuantity = CONFIG.customerLicenseCountMode === 'add'
+      ? currentQuantity + item.quantity
+      : item.quantity;
+
+    let action = 'no_change';
+    if (newQuantity > currentQuantity) {
+      action = 'increase';
+    } else if (newQuantity < currentQuantity) {
+      action = 'decrease';
+    }
+
+    return { item, product, subscription, currentQuantity, newQuantity, action };
+  });
+}
+
+/**
+ * Create a Draft Order that amends the subscriptions to their new quantities.
+ * The reviewer activates it in Salesforce.
+ * Returns { id, url, orderItems } or { error }
+ */
+async function createSubscriptionAmendmentOrder(account, changes) {
+  try {
+    // An order item that isn't linked to the subscription adds a new subscription when activated
+    if (!await isCreateableField('OrderItem', 'Ruby__Subscription__c')) {
+      return {
+        error: 'OrderItem.Ruby__Subscription__c is missing or cannot be set in Salesforce, ' +
+          'so the order could not be linked to the subscription. No order was created',
+      };
+    }
+
+    const priceBookEntries = [];
+    for (const change of changes) {
+      const priceBookEntry = await getPriceBookEntry(change.product.priceBookEntryId);
+      if (!priceBookEntry) {
+        return { error: `Price Book Entry ${change.product.priceBookEntryId} (${change.product.name}) not found` };
+      }
+      priceBookEntries.push(priceBookEntry);
+    }
+
+    const priceBookId = priceBookEntries[0].Pricebook2Id;
+    if (priceBookEntries.some(entry => entry.Pricebook2Id !== priceBookId)) {
+      return { error: 'The subscriptions are in different price books and cannot share one order' };
+    }
+
+    const orderData = {
+      AccountId: account.Id,
+      Status: 'Draft',
+      EffectiveDate: new Date().toISOString().split('T')[0],
+      Pricebook2Id: priceBookId,
+      Description: 'Gong license request - seat increase: ' + changes
+        .map(change => `${change.product.name} ${change.currentQuantity} -> ${change.newQuantity}`)
+        .join(', '),
+    };
+
+    console.log(`📝 Creating draft amendment order for ${account.Name}`);
+
+    const result = await sfCreate('Order', orderData);
+
+    if (!result.success) {
+      console.error('❌ Failed to create amendment order:', result.errors);
+      return { error: formatSalesforceErrors(result.errors) };
+    }
+
+    console.log(`✅ Created draft amendment order (${result.id})`);
+
+    const skippedFields = [...result.skippedFields];
+    const orderItems = [];
+    for (let i = 0; i < changes.length; i++) {
+      const change = changes[i];
+
+      // New total quantity, tied to the subscription being amended
+      const orderItemResult = await sfCreate('OrderItem', {
+        OrderId: result.id,
+        PricebookEntryId: priceBookEntries[i].Id,
+        Quantity: change.newQuantity,
+        UnitPrice: priceBookEntries[i].UnitPrice,
+        Ruby__Subscription__c: change.subscription.Id,
+      });
+
+      if (orderItemResult.success) {
+        skippedFields.push(...orderItemResult.skippedFields.filter(field => !skippedFields.includes(field)));
+        console.log(`✅ Created order item: ${change.product.name} x ${change.newQuantity} (${orderItemResult.id})`);
+        orderItems.push({ id: orderItemResult.id, product: change.product.name });
+      } else {
+        console.error('❌ Failed to create order item:', orderItemResult.errors);
+        orderItems.push({ product: change.product.name, error: formatSalesforceErrors(orderItemResult.errors) });
+      }
+    }
+
+    return {
+      id: result.id,
+      url: `${CONFIG.sfInstanceUrl}/lightning/r/Order/${result.id}/view`,
+      orderItems,
+      note: formatSkippedFieldsNote(skippedFields, 'order'),
+    };
+  } catch (error) {
+    console.error('❌ Error creating amendment order:', error.message);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Create a new Contact in Salesforce
+ */
+async function createContact(firstName, lastName, email, accountId) {
+  try {
+    const contactData = {
+      FirstName: firstName,
+      LastName: lastName,
+      Email: email,
+      AccountId: accountId,
+    };
+
+    const result = await sfCreate('Contact', contactData);
+
+    if (result.success) {
+      console.log(`✅ Created Contact: ${firstName} ${lastName} (${result.id})`);
+
+      // Fetch the full contact record to return
+      const contact = await getContactById(result.id);
+      if (contact) {
+        return contact;
+      }
+
+      // Return basic info if query fails
+      return {
+        Id: result.id,
+        Name: `${firstName} ${lastName}`,
+        Email: email,
+        AccountId: accountId,
+      };
+    } else {
+      console.error('❌ Failed to create contact:', result.errors);
+      return null;
+    }
+  } catch (error) {
+    console.error('❌ Error creating contact:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get a Contact by ID
+ */
+async function getContactById(contactId) {
+  try {
+    const result = await sfQuery(
+      soql`SELECT Id, Name, Email, AccountId, Account.Id, Account.Name, Account.Type
+       FROM Contact
+       WHERE Id = ${soqlId(contactId)}
+       LIMIT 1`
+    );
+
+    return result.records.length > 0 ? result.records[0] : null;
+  } catch (error) {
+    console.error('❌ Error fetching contact:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Search for an unconverted Lead by email (newest first)
+ */
+async function findLeadByEmail(email) {
+  try {
+    const cleanEmail = email.trim().toLowerCase();
+    console.log(`🔍 Searching for lead by email: ${cleanEmail}`);
+
+    const result = await sfQuery(
+      soql`SELECT Id, Name, FirstName, LastName, Company, Email, Status, LeadSource
+       FROM Lead
+       WHERE Email = ${cleanEmail}
+       AND IsConverted = false
+       ORDER BY CreatedDate DESC
+       LIMIT 1`
+    );
+
+    if (result.records.length > 0) {
+      console.log(`✅ Found lead: ${result.records[0].Name} (${result.records[0].Company})`);
+      return result.records[0];
+    }
+
+    return null;
+  } catch (error) {
+    console.error('❌ Error searching for lead:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the Lead Status to use for converted leads (CONFIG.leadConvertedStatus, or the org's first converted status)
+ */
+async function getConvertedLeadStatus() {
+  if (!CONFIG.leadConvertedStatus) {
+    const result = await sfQuery(
+      `SELECT MasterLabel FROM LeadStatus WHERE IsConverted = true ORDER BY SortOrder LIMIT 1`
+    );
+
+    if (result.records.length === 0) {
+      throw new Error('No converted Lead Status is configured in Salesforce');
+    }
+
+    CONFIG.leadConvertedStatus = result.records[0].MasterLabel;
+    console.log(`✅ Cached converted Lead Status: ${CONFIG.leadConvertedStatus}`);
+  }
+
+  return CONFIG.leadConvertedStatus;
+}
+
+/**
+ * Convert a Lead without creating an opportunity. The lead's history moves to the
+ * given Account/Contact, or to a new Account/Contact when those are not given.
+ * Returns { accountId, contactId }, or { error } if the conversion failed
+ */
+async function convertLead(lead, accountId, contactId) {
+  try {
+    const leadConvert = {
+      leadId: lead.Id,
+      convertedStatus: await getConvertedLeadStatus(),
+      doNotCreateOpportunity: true,
+    };
+
+    if (accountId) {
+      leadConvert.accountId = accountId;
+    }
+    if (contactId) {
+      leadConvert.contactId = contactId;
+    }
+
+    console.log(`🔁 Converting Lead: ${lead.Name} (${lead.Id})`);
+    console.log(`   Into Account: ${accountId || 'new account'}`);
+    console.log(`   Into Contact: ${contactId || 'new contact'}`);
+
+    const result = await sfCall('convertLead', connection => connection.soap.convertLead(leadConvert), { idempotent: false });
+
+    if (!result.success) {
+      console.error('❌ Failed to convert lead:', result.errors);
+      return { error: formatSalesforceErrors([].concat(result.errors || [])) };
+    }
+
+    console.log(`✅ Converted Lead ${lead.Id} -> Account ${result.accountId}, Contact ${result.contactId}`);
+    return { accountId: result.accountId, contactId: result.contactId };
+  } catch (error) {
+    console.error('❌ Error converting lead:', error.message);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Create a new Account (e.g. a Prospect from the request's customer name and email domain)
+ * @param {{name: string, type: string, website: string|null}} accountToCreate
+ */
+async function createAccount(accountToCreate) {
+  try {
+    const accountData = {
+      Name: accountToCreate.name,
+      Type: accountToCreate.type,
+    };
+
+    if (accountToCreate.website) {
+      accountData.Website = accountToCreate.website;
+    }
+
+    console.log(`🏢 Creating Account: ${accountData.Name}`);
+    console.log(`   Type: ${accountData.Type}`);
+    console.log(`   Website: ${accountData.Website || 'not set'}`);
+
+    const result = await sfCreate('Account', accountData);
+
+    if (!result.success) {
+      console.error('❌ Failed to create account:', result.errors);
+      return null;
+    }
+
+    console.log(`✅ Created Account: ${accountData.Name} (${result.id})`);
+    return await getAccountById(result.id) || { Id: result.id, Name: accountData.Name, Type: accountData.Type };
+  } catch (error) {
+    console.error('❌ Error creating account:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Set the Type of an Account (e.g. 'Prospect' on an account created by lead conversion)
+ */
+async function setAccountType(accountId, type) {
+  try {
+    const result = await sfUpdate('Account', { Id: accountId, Type: type });
+    if (!result.success) {
+      console.error('❌ Failed to set account type:', result.errors);
+    }
+  } catch (error) {
+    console.error('❌ Error setting account type:', error.message);
+  }
+}
+
+/**
+ * Create a new Opportunity from rendered template fields
+ * @param {Object} opportunityFields - Field values (record template, channel defaults and owner)
+ */
+async function createOpportunity(contact, account, opportunityFields) {
+  try {
+    const opportunityData = {
+      ...opportunityFields,
+      AccountId: account.Id,
+    };
+
+    // Add BillingAccount if we have the Gong Reseller Account ID cached
+    if (CONFIG.gongResellerAccountId) {
+      opportunityData.BillingAccount__c = CONFIG.gongResellerAccountId;
+    }
+
+    // Add Contact fields if we have the contact ID
+    if (contact && contact.Id) {
+      opportunityData.OnBoarding_Contact__c = contact.Id;
+      opportunityData.Primary_Contact__c = contact.Id;
+    }
+
+    const result = await sfCreate('Opportunity', opportunityData);
+
+    if (result.success) {
+      console.log(`✅ Created Opportunity: ${opportunityData.Name} (${result.id})`);
+      console.log(`   AccountId: ${account.Id}`);
+      console.log(`   BillingAccount__c: ${opportunityData.BillingAccount__c || 'not set'}`);
+      console.log(`   OnBoarding_Contact__c: ${opportunityData.OnBoarding_Contact__c || 'not set'}`);
+      return {
+        id: result.id,
+        name: opportunityData.Name,
+        url: `${CONFIG.sfInstanceUrl}/lightning/r/Opportunity/${result.id}/view`,
+        note: formatSkippedFieldsNote(result.skippedFields),
+      };
+    } else {
+      console.error('❌ Failed to create opportunity:', result.errors);
+      return null;
+    }
+  } catch (error) {
+    console.error('❌ Error creating opportunity:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Thread note for fields that were left out of a new record because the org doesn't have them
+ */
+function formatSkippedFieldsNote(skippedFields, recordLabel = null) {
+  if (!skippedFields || skippedFields.length === 0) {
+    return null;
+  }
+  const target = recordLabel ? ` on ${recordLabel}` : '';
+  return `⚠️ Note: ${skippedFields.join(', ')} not set${target} (missing in Salesforce) - please add manually`;
+}
+
+/**
+ * Format the errors array from a failed Salesforce create call
+ */
+function formatSalesforceErrors(errors) {
+  return (errors || [])
+    .map(e => (e.statusCode ? `${e.statusCode}: ${e.message}` : e.message || String(e)))
+    .join('; ') || 'Unknown error';
+}
+
+/**
+ * Get a Price Book Entry (needed for the quote's price book and the line item's unit price)
+ */
+async function getPriceBookEntry(priceBookEntryId) {
+  const result = await sfQuery(
+    soql`SELECT Id, Pricebook2Id, UnitPrice, Product2.Name
+     FROM PricebookEntry
+     WHERE Id = ${soqlId(priceBookEntryId)}
+     LIMIT 1`
+  );
+
+  return result.records.length > 0 ? result.records[0] : null;
+}
+
+/**
+ * Create a Quote for an Opportunity with one line item per requested product
+ * Returns the quote (each line item has either an id or an error), or { error } if the quote could not be created
+ * @param {Object} quoteFields - Rendered quote template fields
+ */
+async function createQuote(opportunityId, quoteFields, items) {
+  try {
+    const quoteName = quoteFields.Name;
+
+    // Line item entries have to belong to the quote's price book
+    const priceBookEntries = [];
+    for (const item of items) {
+      const priceBookEntryId = getProduct(item.product).priceBookEntryId;
+      const priceBookEntry = await getPriceBookEntry(priceBookEntryId);
+      if (!priceBookEntry) {
+        return { error: `Price Book Entry ${priceBookEntryId} (${getProduct(item.product).name}) not found` };
+      }
+      priceBookEntries.push(priceBookEntry);
+    }
+
+    const priceBookId = priceBookEntries[0].Pricebook2Id;
+    if (priceBookEntries.some(entry => entry.Pricebook2Id !== priceBookId)) {
+      return { error: 'The requested products are in different price books and cannot share one quote' };
+    }
+
+    const quoteData = {
+      ...quoteFields,
+      OpportunityId: opportunityId,
+      Pricebook2Id: priceBookId,
+    };
+
+    // Add Billing Account if available
+    if (CONFIG.gongResellerAccountId) {
+      quoteData.BillingAccount__c = CONFIG.gongResellerAccountId;
+    }
+
+    console.log(`📝 Creating Quote: ${quoteName}`);
+    console.log(`   OpportunityId: ${opportunityId}`);
+    console.log(`   Line Items: ${items.map(item => `${item.product} x ${item.quantity}`).join(', ')}`);
+
+    const result = await sfCreate('Quote', quoteData);
+
+    if (!result.success) {
+      console.error('❌ Failed to create quote:', result.errors);
+      return { error: formatSalesforceErrors(result.errors) };
+    }
+
+    console.log(`✅ Created Quote: ${quoteName} (${result.id})`);
+
+    // Now create the Quote Line Items
+    const lineItems = [];
+    for (let i = 0; i < items.length; i++) {
+      lineItems.push(await createQuoteLineItem(result.id, items[i], priceBookEntries[i]));
+    }
+
+    return {
+      id: result.id,
+      name: quoteName,
+      url: `${CONFIG.sfInstanceUrl}/lightning/r/Quote/${result.id}/view`,
+      lineItems,
+      note: formatSkippedFieldsNote(result.skippedFields, 'quote'),
+    };
+  } catch (error) {
+    console.error('❌ Error creating quote:', error.message);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Create a Quote Line Item with the appropriate product
+ * Returns { id, product, quantity }, with error instead of id if it could not be created
+ */
+async function createQuoteLineItem(quoteId, item, priceBookEntry) {
+  const productName = getProduct(item.product).name;
+  const quantity = item.quantity;
+
+  try {
+    console.log(`📦 Creating Quote Line Item:`);
+    console.log(`   Product: ${productName}`);
+    console.log(`   PriceBookEntryId: ${priceBookEntry.Id}`);
+    console.log(`   Quantity: ${quantity}`);
+
+    const lineItemData = {
+      QuoteId: quoteId,
+      PricebookEntryId: priceBookEntry.Id,
+      Quantity: quantity,
+      UnitPrice: priceBookEntry.UnitPrice,
+    };
+
+    const result = await sfCreate('QuoteLineItem', lineItemData);
+
+    if (result.success) {
+      console.log(`✅ Created Quote Line Item: ${productName} x ${quantity} (${result.id})`);
+      return {
+        id: result.id,
+        product: productName,
+        quantity: quantity,
+      };
+    } else {
+      console.error('❌ Failed to create quote line item:', result.errors);
+      return { product: productName, quantity, error: formatSalesforceErrors(result.errors) };
+    }
+  } catch (error) {
+    console.error('❌ Error creating quote line item:', error.message);
+    return { product: productName, quantity, error: error.message };
+  }
+}
+
+/**
+ * Key used to identify a license request by its Slack message
+ */
+function requestKey(message) {
+  return `${message.channel}:${message.ts}`;
+}
+
+// Requests currently being processed (guards against concurrent Slack retries)
+const inFlightRequests = new Set();
+
+// Slack message -> Salesforce records created from it
+const processedRequests = loadProcessedRequests();
+
+/**
+ * Load the processed requests map from disk
+ */
+function loadProcessedRequests() {
+  try {
+    if (fs.existsSync(CONFIG.processedRequestsFile)) {
+      return JSON.parse(fs.readFileSync(CONFIG.processedRequestsFile, 'utf8'));
+    }
+  } catch (error) {
+    console.error('❌ Error loading processed requests:', error.message);
+  }
+  return {};
+}
+
+/**
+ * Remember which Salesforce records a Slack message produced
+ */
+function recordProcessedRequest(message, records) {
+  processedRequests[requestKey(message)] = {
+    ...records,
+    processedAt: new Date().toISOString(),
+  };
+  saveProcessedRequests();
+}
+
+/**
+ * Write the processed requests map to disk
+ */
+function saveProcessedRequests() {
+  try {
+    fs.mkdirSync(path.dirname(CONFIG.processedRequestsFile), { recursive: true });
+    fs.writeFileSync(CONFIG.processedRequestsFile, JSON.stringify(processedRequests, null, 2));
+  } catch (error) {
+    console.error('❌ Error saving processed requests:', error.message);
+  }
+}
+
+/**
+ * Start an audit entry for a license request
+ */
+function createAuditEntry(message, trigger) {
+  return {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    trigger,
+    channel: message.channel,
+    ts: message.ts,
+    fields: {},
+    resolution: [],
+    salesforceIds: {},
+    accountType: null,
+    outcome: null,
+    error: null,
+  };
+}
+
+/**
+ * Append a finished audit entry to the audit log
+ */
+function writeAuditEntry(entry) {
+  entry.finishedAt = new Date().toISOString();
+  recordRequestOutcome(entry);
+
+  try {
+    fs.mkdirSync(path.dirname(CONFIG.auditLogFile), { recursive: true });
+    fs.appendFileSync(CONFIG.auditLogFile, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    console.error('❌ Error writing audit log:', error.message);
+  }
+}
+
+/**
+ * Find an opportunity that already covers this license request.
+ * Checks the opportunity recorded for this Slack message first, then any open
+ * Partner/New Business opportunity created on the account within the window.
+ */
+async function findExistingOpportunity(message, account) {
+  try {
+    // No message for read-only lookups - only the window check applies
+    const previous = message ? processedRequests[requestKey(message)] : null;
+
+    if (previous && previous.opportunityId) {
+      const result = await sfQuery(
+        soql`SELECT Id, Name
+         FROM Opportunity
+         WHERE Id = ${soqlId(previous.opportunityId)}
+         LIMIT 1`
+      );
+
+      if (result.records.length > 0) {
+        return {
+          id: result.records[0].Id,
+          name: result.records[0].Name,
+          url: `${CONFIG.sfInstanceUrl}/lightning/r/Opportunity/${result.records[0].Id}/view`,
+          fromSameRequest: true,
+        };
+      }
+    }
+
+    if (!CONFIG.duplicateOpportunityWindowDays) {
+      return null;
+    }
+
+    // Same Lead Source and Type the bot would give a new opportunity on this account
+    const template = getRecordTemplate('opportunity', account.Type);
+    const result = await sfQuery(
+      soql`SELECT Id, Name, CreatedDate
+       FROM Opportunity
+       WHERE AccountId = ${soqlId(account.Id)}
+       AND IsClosed = false
+       AND LeadSource = ${template.LeadSource || null}
+       AND Type = ${template.Type || null}
+       AND CreatedDate = LAST_N_DAYS:${CONFIG.duplicateOpportunityWindowDays}
+       ORDER BY CreatedDate DESC
+       LIMIT 1`
+    );
+
+    if (result.records.length > 0) {
+      return {
+        id: result.records[0].Id,
+        name: result.records[0].Name,
+        url: `${CONFIG.sfInstanceUrl}/lightning/r/Opportunity/${result.records[0].Id}/view`,
+        fromSameRequest: false,
+        leadSource: template.LeadSource || null,
+        type: template.Type || null,
+      };
+    }
+
+    return null;
+  } catch (error) {
+    console.error('❌ Error checking for existing opportunity:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Format requested products and quantities as thread reply bullets
+ */
+function formatLineItems(items) {
+  if (items.length === 1) {
+    return `• *Product:* ${getProduct(items[0].product).name}\n` +
+      `• *Quantity:* ${items[0].quantity}`;
+  }
+
+  return items
+    .map(item => `• *Product:* ${getProduct(item.product).name} - *Quantity:* ${item.quantity}`)
+    .join('\n');
+}
+
+/**
+ * Build Salesforce URLs
+ */
+function buildSalesforceUrls(contact, account) {
+  return {
+    contactUrl: `${CONFIG.sfInstanceUrl}/lightning/r/Contact/${contact.Id}/view`,
+    accountUrl: `${CONFIG.sfInstanceUrl}/lightning/r/Account/${account.Id}/view`,
+  };
+}
+
+/**
+ * Main message handler for license requests
+ */
+async function handleMessage({ message, client, logger }) {
+  try {
+    // Skip bot messages (except from Zapier) and message edits
+    if (message.subtype === 'message_changed') {
+      return;
+    }
+
+    // Only monitor the configured intake channels
+    const channel = CHANNELS.get(message.channel);
+    if (!channel) {
+      return;
+    }
+
+    // Check if this is a license request message (text, blocks or attachments)
+    if (!isLicenseRequestMessage(message, channel)) {
+      return;
+    }
+
+    logger.info(`ð New ChiliPiper License Request detected in ${channel.name}!`);
+
+    await processLicenseRequest({ message, client, logger, trigger: 'message' });
+
+  } catch (error) {
+    logger.error('Error processing license request:', error);
+
+    try {
+      await client.reactions.add({
+        channel: message.channel,
+        timestamp: message.ts,
+        name: 'x',
+      });
+    } catch (e) {}
+  }
+}
+
+app.message(handleMessage);
+
+/**
+ * Process a Zapier license request message end to end.
+ * Shared by the message handler and the @mention reprocessing path, so
+ * `message` is always the original Zapier message and replies go to its thread.
+ */
+async function processLicenseRequest({ message, client, logger, trigger, request }) {
+  const key = requestKey(message);
+
+  // Slack can deliver the same event twice while we are still working on it
+  if (inFlightRequests.has(key)) {
+    logger.warn(`⚠️ Request ${key} is already being processed, skipping`);
+    return null;
+  }
+
+  inFlightRequests.add(key);
+  recordRequestDetected(trigger, message.channel);
+  const audit = createAuditEntry(message, trigger);
+  try {
+    await handleLicenseRequest({ message, client, logger, audit, request });
+    return audit;
+  } catch (error) {
+    audit.outcome = 'error';
+    audit.error = error.message;
+    throw error;
+  } finally {
+    inFlightRequests.delete(key);
+    writeAuditEntry(audit);
+  }
+}
+
+/**
+ * Resolve and process one license request. `parsedRequest` is passed when the
+ * request arrived as structured data (webhook); otherwise the message is parsed.
+ */
+async function handleLicenseRequest({ message, client, logger, audit, request: parsedRequest }) {
+  const text = getMessageText(message);
+
+  // Add eyes emoji to show we're processing
+  try {
+    await client.reactions.add({
+      channel: message.channel,
+      timestamp: message.ts,
+      name: 'eyes',
+    });
+  } catch (e) {
+    // Reaction might already exist
+  }
+
+  // Parse the Zapier message
+  const request = parsedRequest || parseLicenseRequest(text);
+  const customerEmail = request.admin.email;
+  const customerName = request.company;
+
+  audit.fields = request;
+
+  // Don't create anything from a guessed email, product or license count
+  const missingFields = getMissingRequiredFields(request);
+  if (missingFields.length > 0) {
+    audit.outcome = 'invalid_request';
+    logger.warn(`⚠️ License request is missing required fields: ${missingFields.join(', ')}`);
+    await postThreadReply(client, message,
+      `⚠️ *Could not process this license request*\n\n` +
+      `These required fields could not be parsed from the message:\n` +
+      `${formatRequestErrors(request, missingFields)}\n\n` +
+      `Please fix the request and mention me in this thread, or process manually.`);
+    return;
+  }
+
+  logger.info(`ð§ Customer Admin Email: ${customerEmail}`);
+  logger.info(`ð¢ Customer Name: ${customerName}`);
+
+  // Ensure Salesforce connection
+  if (!sfConnection) {
+    const connected = await initSalesforce();
+    if (!connected) {
+      audit.outcome = 'salesforce_unavailable';
+      await postThreadReply(client, message,
+        '❌ Could not connect to Salesforce. Please process manually.');
+      return;
+    }
+  }
+
+  // Search for contact in Salesforce
+  const contact = await findContactByEmail(customerEmail);
+  let account = null;
+  let lead = null;
+
+  if (contact) {
+    audit.resolution.push('contact_found_by_email');
+  } else {
+    logger.warn(`â ï¸ Contact not found in Salesforce: ${customerEmail}`);
+
+    // The admin may already be a marketing Lead - convert it instead of creating a duplicate contact
+    lead = await findLeadByEmail(customerEmail);
+    if (lead) {
+      audit.resolution.push('lead_found');
+      audit.salesforceIds.leadId = lead.Id;
+    }
+
+    // Rank accounts by email domain (e.g., amtechsoftware.com from jtipton@amtechsoftware.com) and company name
+    logger.info(`ð Searching for account by email domain and company name...`);
+    const match = await resolveAccount(customerEmail, customerName || (lead && lead.Company));
+    audit.accountCandidates = match.candidates.slice(0, 5).map(candidate => ({
+      id: candidate.account.Id,
+      score: candidate.score,
+    }));
+
+    if (match.freeEmailDomain) {
+      audit.resolution.push('free_email_domain');
+    }
+    if (match.freeEmailDomain && match.candidates.length > 0) {
+      await postThreadReply(client, message,
+        `⚠️ \`${match.freeEmailDomain}\` is a personal email provider, so the account was matched by company name ` +
+        `(*${customerName || 'Unknown'}*) only. Please double-check the account.`);
+    }
+
+    if (match.account) {
+      audit.resolution.push(match.matchedBy);
+      account = match.account;
+    } else if (match.candidates.length > 0) {
+      audit.outcome = 'awaiting_account_choice';
+      logger.warn(`⚠️ No confident account match for ${customerEmail} (${match.candidates.length} candidates)`);
+      await postAccountChoices({ message, client, logger, request, lead, candidates: match.candidates });
+      return;
+    } else if (canCreateAccount(request, lead)) {
+      // planLicenseRequest creates the account
+    } else {
+      audit.outcome = 'account_not_found';
+      const emailDomain = customerEmail.split('@')[1];
+      logger.warn(`â ï¸ Account not found by domain (${emailDomain}) or name (${customerName})`);
+      await postThreadReply(client, message,
+        `â ï¸ Contact not found in Salesforce for email: \`${customerEmail}\`\n` +
+        (match.freeEmailDomain
+          ? `Account not searched by domain: *${emailDomain}* is a personal email provider\n`
+          : `Account not found by domain: *${emailDomain}*\n`) +
+        `Account not found by name: *${customerName || 'Unknown'}*\n\n` +
+        `Please create the account, contact, and opportunity manually.`);
+      return;
+    }
+  }
+
+  await planLicenseRequest({ message, client, logger, audit, request, account, contact, lead });
+}
+
+/**
+ * Whether a request that matched no account can go ahead on a new one
+ * (converted from the admin's Lead, or created when CONFIG.autoCreateAccounts is on)
+ */
+function canCreateAccount(request, lead) {
+  return Boolean(lead) || (CONFIG.autoCreateAccounts && Boolean(request.company));
+}
+
+/**
+ * Work out the contact to use (or create) on the resolved account, then preview
+ * or complete the request
+ * @param {Object} params
+ * @param {Object|null} params.account - Matched account (when the contact wasn't found by email)
+ * @param {Object|null} params.contact - Contact found by email
+ * @param {Object|null} [params.lead] - Unconverted Lead for the admin's email, converted instead of creating a contact
+ */
+async function planLicenseRequest({ message, client, logger, audit, request, account, contact, lead = null }) {
+  const customerEmail = request.admin.email;
+  let contactToCreate = null;
+  let accountToCreate = null;
+
+  if (!contact && !account) {
+    // Nothing matched: converting the lead creates the account, otherwise
+    // (CONFIG.autoCreateAccounts) it is created from the customer name and email domain
+    const emailDomain = normalizeDomain(customerEmail.split('@')[1] || '');
+    accountToCreate = lead
+      ? { name: lead.Company || request.company, type: 'Prospect', website: null }
+      : { name: request.company, type: 'Prospect', website: isFreeEmailDomain(emailDomain) ? null : emailDomain };
+    logger.info(`ð¢ No account found, a new Prospect account will be created: ${accountToCreate.name}`);
+  }
+
+  if (!contact) {
+    if (account) {
+      logger.info(`✅ Found account: ${account.Name} (${account.Id})`);
+      audit.salesforceIds.accountId = account.Id;
+    }
+
+    // Try to find existing contact on this account (might exist with slightly different email search)
+    const existingContact = account && await findContactByEmailAndAccount(customerEmail, account.Id);
+    if (existingContact) {
+      logger.info(`✅ Found existing contact on account: ${existingContact.Name}`);
+      audit.resolution.push('contact_found_on_account');
+      contact = existingContact;
+    } else if (lead) {
+      // Converting the lead creates the contact from the lead's name
+    } else if (!request.errors.adminName) {
+      contactToCreate = {
+        firstName: request.admin.firstName,
+        lastName: request.admin.lastName,
+        email: customerEmail,
+      };
+    } else {
+      audit.outcome = 'missing_admin_name';
+      logger.warn('â ï¸ Could not extract customer admin name from message');
+      await postThreadReply(client, message,
+        `â ï¸ Contact not found for: \`${customerEmail}\`\n` +
+        (account ? `Found account: *${account.Name}*\n` : `Account not found either (would be created: *${accountToCreate.name}*)\n`) +
+        `Could not extract admin name to create contact:\n` +
+        `${formatRequestErrors(request, ['adminName'])}\n\n` +
+        `Please create the contact manually.`);
+      return;
+    }
+  }
+
+  if (contact) {
+    logger.info(`✅ Found Contact: ${contact.Name} (Account: ${contact.Account?.Name})`);
+
+    // Get account details
+    account = contact.Account || await getAccountById(contact.AccountId);
+    audit.salesforceIds.contactId = contact.Id;
+
+    if (!account) {
+      audit.outcome = 'account_not_found_for_contact';
+      await postThreadReply(client, message,
+        `â ï¸ Could not find account for contact: ${contact.Name}\n` +
+        `Please process manually.`);
+      return;
+    }
+  }
+
+  audit.salesforceIds.accountId = account ? account.Id : null;
+  audit.accountType = account ? account.Type || 'Unknown' : accountToCreate.type;
+
+  const plan = { request, account, accountToCreate, contact, contactToCreate, leadToConvert: lead };
+
+  // In approval mode, anything that writes to Salesforce waits for a reviewer
+  if (CONFIG.approvalMode && await planWritesRecords(plan)) {
+    audit.outcome = 'awaiting_approval';
+    await postApprovalPreview({ message, client, logger, plan });
+    return;
+  }
+
+  await completeLicenseRequest({ message, client, logger, audit, plan });
+}
+
+// Salesforce user email -> Slack user ID (null when there is no Slack user with that email)
+const slackUserIdsByEmail = new Map();
+
+/**
+ * Find the Slack user for an email address (needs the users:read.email scope)
+ */
+async function findSlackUserIdByEmail(client, email) {
+  const key = email.toLowerCase();
+  if (slackUserIdsByEmail.has(key)) {
+    return slackUserIdsByEmail.get(key);
+  }
+
+  let userId = null;
+  try {
+    const result = await client.users.lookupByEmail({ email: key });
+    userId = result.user && !result.user.deleted ? result.user.id : null;
+  } catch (error) {
+    // users_not_found is expected for owners without Slack; anything else is worth a log line
+    if (!error.data || error.data.error !== 'users_not_found') {
+      console.error('❌ Error looking up Slack user by email:', error.message);
+      return null;
+    }
+  }
+
+  slackUserIdsByEmail.set(key, userId);
+  return userId;
+}
+
+/**
+ * Work out who reviews the request: the account owner when they are an active
+ * Salesforce user with a Slack account, otherwise the channel's reviewers
+ * @returns {Promise<{mentions: string, owner: Object|null, slackUserId: string|null}>}
+ */
+async function resolveReviewers(client, channel, owner) {
+  const slackUserId = owner && owner.isActive && owner.email
+    ? await findSlackUserIdByEmail(client, owner.email)
+    : null;
+
+  if (slackUserId) {
+    console.log(`👤 Routing review to account owner ${owner.name} (<@${slackUserId}>)`);
+    return { mentions: `<@${slackUserId}>`, owner, slackUserId };
+  }
+
+  if (owner) {
+    console.log(`👤 No Slack user for account owner ${owner.name || owner.id}, tagging ${channel.name} reviewers`);
+  }
+  return { mentions: formatReviewers(channel), owner, slackUserId: null };
+}
+
+/**
+ * Create the contact (if needed) and opportunity for a resolved license request
+ * and report the result in the thread
+ */
+async function completeLicenseRequest({ message, client, logger, audit, plan }) {
+  const { request, accountToCreate, contactToCreate, leadToConvert } = plan;
+  const customerName = request.company;
+  const items = request.items;
+  const channel = getChannelSettings(message.channel);
+  let account = plan.account;
+  let contact = plan.contact;
+  let accountNote = '';
+  let contactNote = '';
+
+  // New account from the request (a lead conversion creates its own)
+  if (accountToCreate && !leadToConvert) {
+    account = await createAccount(accountToCreate);
+
+    if (!account) {
+      audit.outcome = 'account_not_created';
+      await postThreadReply(client, message,
+        `⚠️ No account found and a new account could not be created for: *${accountToCreate.name}*\n\n` +
+        `Please create the account, contact, and opportunity manually.`);
+      return;
+    }
+
+    accountNote = ' _(newly created - merge it if this customer already has an account)_';
+    audit.resolution.push('account_created');
+    audit.salesforceIds.createdAccountId = account.Id;
+    audit.salesforceIds.accountId = account.Id;
+  }
+
+  if (leadToConvert) {
+    const converted = await convertLead(leadToConvert, account ? account.Id : null, contact ? contact.Id : null);
+    if (converted.error) {
+      audit.outcome = 'lead_not_converted';
+      audit.error = converted.error;
+      await postThreadReply(client, message,
+        `⚠️ Found Lead <${CONFIG.sfInstanceUrl}/lightning/r/Lead/${leadToConvert.Id}/view|${leadToConvert.Name}> ` +
+        `for \`${request.admin.email}\` but could not convert it: ${converted.error}\n\n` +
+        `Please convert the lead and create the opportunity manually.`);
+      return;
+    }
+
+    audit.resolution.push('lead_converted');
+    audit.salesforceIds.contactId = converted.contactId;
+    audit.salesforceIds.accountId = converted.accountId;
+
+    if (!account) {
+      await setAccountType(converted.accountId, accountToCreate.type);
+      account = await getAccountById(converted.accountId);
+      accountNote = ' _(newly created from the Lead - merge it if this customer already has an account)_';
+      audit.salesforceIds.createdAccountId = converted.accountId;
+    }
+    if (!contact) {
+      contact = await getContactById(converted.contactId);
+      contactNote = ' _(converted from Lead)_';
+      audit.salesforceIds.createdContactId = converted.contactId;
+    }
+
+    if (!account || !contact) {
+      audit.outcome = 'lead_not_converted';
+      await postThreadReply(client, message,
+        `⚠️ Converted Lead ${leadToConvert.Name} but could not load the new account/contact.\n\n` +
+        `Please create the opportunity manually.`);
+      return;
+    }
+  } else if (contactToCreate) {
+    logger.info(`ð¤ Creating contact: ${contactToCreate.firstName} ${contactToCreate.lastName}`);
+
+    contact = await createContact(
+      contactToCreate.firstName,
+      contactToCreate.lastName,
+      contactToCreate.email,
+      account.Id
+    );
+
+    if (!contact) {
+      audit.outcome = 'contact_not_created';
+      await postThreadReply(client, message,
+        `â ï¸ Contact not found and could not be created for: \`${contactToCreate.email}\`\n` +
+        `Customer Name: ${customerName || 'Unknown'}\n\n` +
+        `Please create the contact and opportunity manually.`);
+      return;
+    }
+
+    contactNote = ' _(newly created)_';
+    audit.resolution.push('contact_created');
+    audit.salesforceIds.createdContactId = contact.Id;
+    audit.salesforceIds.contactId = contact.Id;
+    logger.info(`✅ Contact created successfully`);
+  }
+
+  const accountType = account.Type || 'Unknown';
+  const urls = buildSalesforceUrls(contact, account);
+
+  // Accounts the bot just created are owned by the integration user, so those go to the channel reviewers
+  const owner = audit.salesforceIds.createdAccountId ? null : await getAccountOwner(account.Id);
+  const reviewers = await resolveReviewers(client, channel, owner);
+  audit.accountOwnerId = owner ? owner.id : null;
+  audit.reviewerSlackUserId = reviewers.slackUserId;
+
+  logger.info(`📋 Line Items: ${items.map(item => `${item.product} x ${item.quantity}`).join(', ')}`);
+
+  logger.info(`🏢 Account Type: ${accountType}`);
+
+  // Handle based on account type
+  // Create opportunities for both Prospect and Ex-Customer accounts
+  if (accountType.toLowerCase() === 'prospect' || accountType.toLowerCase() === 'ex-customer') {
+    // Don't create a second opportunity for a retried or re-mentioned request
+    const existingOpportunity = await findExistingOpportunity(message, account);
+
+    if (existingOpportunity) {
+      logger.info(`♻️ Opportunity already exists for this request: ${existingOpportunity.name} (${existingOpportunity.id})`);
+      audit.outcome = 'duplicate_opportunity';
+      audit.salesforceIds.opportunityId = existingOpportunity.id;
+
+      recordProcessedRequest(message, {
+        accountId: account.Id,
+        contactId: contact.Id,
+        opportunityId: existingOpportunity.id,
+      });
+
+      try {
+        await client.reactions.add({
+          channel: message.channel,
+          timestamp: message.ts,
+          name: 'white_check_mark',
+        });
+      } catch (e) {}
+
+      // Describe the match with the account type's template, not a fixed Lead Source
+      const matchedOn = [
+        existingOpportunity.leadSource && `Lead Source "${existingOpportunity.leadSource}"`,
+        existingOpportunity.type && `Type "${existingOpportunity.type}"`,
+      ].filter(Boolean).join(' and ');
+      const reason = existingOpportunity.fromSameRequest
+        ? 'This request was already processed.'
+        : `An open opportunity${matchedOn ? ` with ${matchedOn}` : ''} was created on this account in the last ${CONFIG.duplicateOpportunityWindowDays} days.`;
+
+      await postThreadReply(client, message,
+        `♻️ *Existing Opportunity Found*\n\n` +
+        `${reason} No new opportunity was created.\n\n` +
+        `*Account:* <${urls.accountUrl}|${account.Name}>${accountNote}\n` +
+        `*Account Type:* ${accountType}\n` +
+        `*Contact:* <${urls.contactUrl}|${contact.Name}>${contactNote}\n` +
+        `*Opportunity:* <${existingOpportunity.url}|${existingOpportunity.name}>`);
+      return;
+    }
+
+    // Create opportunity for Prospect or Ex-Customer
+    logger.info(`💼 Creating opportunity for ${accountType} account...`);
+
+    // For Ex-Customer, check for Gong subscription first
+    let gongSubscription = null;
+    if (accountType.toLowerCase() === 'ex-customer') {
+      gongSubscription = await findActiveGongSubscription(account.Id);
+    }
+
+    // The opportunity belongs to whoever owns the account (Salesforce rejects inactive owners)
+    const opportunityFields = renderOpportunityFields(message, request, account);
+    if (owner && owner.isActive) {
+      opportunityFields.OwnerId = owner.id;
+    }
+    const opportunity = await createOpportunity(contact, account, opportunityFields);
+
+    if (opportunity) {
+      audit.outcome = 'opportunity_created';
+      audit.salesforceIds.opportunityId = opportunity.id;
+
+      // Create the Draft quote with the requested products and quantities
+      let quote = null;
+      if (CONFIG.autoCreateQuote) {
+        logger.info('📝 Creating quote for new opportunity...');
+        const quoteFields = renderTemplate(getRecordTemplate('quote', accountType), buildTemplateContext(message, request, account));
+        quote = await createQuote(opportunity.id, quoteFields, items);
+
+        if (quote.id) {
+          audit.salesforceIds.quoteId = quote.id;
+          audit.salesforceIds.quoteLineItemIds = quote.lineItems.filter(li => li.id).map(li => li.id);
+        }
+
+        const quoteErrors = quote.error ? [quote.error] : quote.lineItems.filter(li => li.error).map(li => li.error);
+        if (quoteErrors.length > 0) {
+          audit.error = quoteErrors.join('; ');
+        }
+      }
+
+      recordProcessedRequest(message, {
+        accountId: account.Id,
+        contactId: contact.Id,
+        opportunityId: opportunity.id,
+        quoteId: quote?.id || null,
+      });
+
+      // Without an automatic quote, the reviewer still has to create one
+      if (!quote || !quote.id) {
+        trackFollowUp(message, reviewers, { opportunityId: opportunity.id });
+      }
+
+      // Success - add checkmark reaction
+      try {
+        await client.reactions.add({
+          channel: message.channel,
+          timestamp: message.ts,
+          name: 'white_check_mark',
+        });
+      } catch (e) {}
+
+      // Build QuoteBuilder URL for easy quote creation
+      const quoteBuilderUrl = `${CONFIG.sfInstanceUrl}/lightning/cmp/Ruby__QuoteBuilder?c__mode=create_quote&c__opportunityId=${opportunity.id}`;
+
+      let replyText = `✅ *Opportunity Created!*\n\n` +
+        `*Account:* <${urls.accountUrl}|${account.Name}>${accountNote}\n` +
+        `*Account Type:* ${accountType}\n` +
+        `*Contact:* <${urls.contactUrl}|${contact.Name}>${contactNote}\n` +
+        `*Opportunity:* <${opportunity.url}|${opportunity.name}>`;
+
+      if (opportunity.note) {
+        replyText += `\n\n${opportunity.note}`;
+      }
+
+      // For Ex-Customer, add Gong subscription warning if none found
+      if (accountType.toLowerCase() === 'ex-customer' && !gongSubscription) {
+        replyText += `\n\n⚠️ *No active Gong reseller subscription found*\n`;
+        replyText += `This customer may need a new Gong subscription set up.`;
+      }
+
+      if (quote && quote.id) {
+        replyText += `\n\n📝 *Quote Created:* <${quote.url}|${quote.name}> (Draft)`;
+
+        for (const lineItem of quote.lineItems) {
+          if (lineItem.id) {
+            const lineItemUrl = `${CONFIG.sfInstanceUrl}/lightning/r/QuoteLineItem/${lineItem.id}/view`;
+            replyText += `\n• *Line Item:* <${lineItemUrl}|${lineItem.product}> x ${lineItem.quantity}`;
+          } else {
+            replyText += `\n❌ *Line item could not be added:* ${lineItem.product} x ${lineItem.quantity} - ${lineItem.error}\n`;
+            replyText += `Please add it manually.`;
+          }
+        }
+
+        if (quote.note) {
+          replyText += `\n${quote.note}`;
+        }
+      } else {
+        if (quote) {
+          replyText += `\n\n❌ *Quote could not be created automatically:* ${quote.error}`;
+        }
+
+        // Add quote creation instructions
+        replyText += `\n\n📝 *Create Quote:*\n`;
+        replyText += `<${quoteBuilderUrl}|Click here to create quote>\n`;
+        replyText += formatLineItems(items);
+      }
+
+      // Tag the account owner (or the channel's reviewers)
+      const reviewMsg = accountType.toLowerCase() === 'ex-customer'
+        ? channel.reviewMessages.exCustomer
+        : channel.reviewMessages.prospect;
+      replyText += `\n\n${reviewers.mentions} - ${reviewMsg}`;
+
+      await postThreadReply(client, message, replyText);
+    } else {
+      audit.outcome = 'opportunity_failed';
+      await postThreadReply(client, message,
+        `❌ Failed to create opportunity for ${account.Name}.\n` +
+        `*Account:* <${urls.accountUrl}|${account.Name}>${accountNote}\n` +
+        `*Contact:* <${urls.contactUrl}|${contact.Name}>\n\n` +
+        `Please create the opportunity manually.`);
+    }
+
+  } else {
+    // Customer account - don't create opportunity, check for existing Gong subscription
+    logger.info('ℹ️ Customer account - checking for existing Gong subscription');
+
+    // Check if they have an active Gong subscription
+    const gongSubscriptions = await findActiveGongSubscriptions(account.Id);
+    const gongSubscription = gongSubscriptions[0] || null;
+    audit.outcome = 'customer_account';
+    audit.salesforceIds.subscriptionId = gongSubscription?.Id || null;
+
+    // Add info reaction
+    try {
+      await client.reactions.add({
+        channel: message.channel,
+        timestamp: message.ts,
+        name: 'information_source',
+      });
+    } catch (e) {}
+
+    let replyText = `ℹ️ *Existing Customer Account*\n\n` +
+      `*Account:* <${urls.accountUrl}|${account.Name}>${accountNote}\n` +
+      `*Account Type:* ${accountType}\n` +
+      `*Contact:* <${urls.contactUrl}|${contact.Name}>${contactNote}\n\n`;
+
+    let reviewMsg = channel.reviewMessages.customer;
+
+    if (gongSubscription && CONFIG.autoAmendSubscriptions) {
+      // Prepare the seat change as a draft order for the reviewer to activate
+      replyText += `✅ *Has Active Gong Subscription:* ${gongSubscriptions.map(sub => sub.Name).join(', ')}\n`;
+
+      const changes = planSubscriptionChanges(items, gongSubscriptions);
+      const increases = changes.filter(change => change.action === 'increase');
+      const flagged = changes.filter(change => change.action !== 'increase');
+      const previous = processedRequests[requestKey(message)];
+
+      let order = null;
+      if (previous && previous.orderId) {
+        // Already prepared for this request - don't create a second amendment
+        order = { id: previous.orderId, url: `${CONFIG.sfInstanceUrl}/lightning/r/Order/${previous.orderId}/view`, existing: true };
+      } else if (increases.length > 0) {
+        logger.info(`📈 Preparing seat increase for ${account.Name}...`);
+        order = await createSubscriptionAmendmentOrder(account, increases);
+      }
+
+      if (order && order.id) {
+        audit.outcome = 'subscription_amendment_created';
+        audit.salesforceIds.orderId = order.id;
+
+        recordProcessedRequest(message, {
+          accountId: account.Id,
+          contactId: contact.Id,
+          orderId: order.id,
+        });
+
+        replyText += order.existing
+          ? `\n♻️ *Seat increase already prepared for this request:* <${order.url}|Open draft order>\n`
+          : `\n📈 *Seat Increase Prepared:* <${order.url}|Open draft order>\n`;
+
+        for (const change of increases) {
+          replyText += `• ${change.product.name}: ${change.currentQuantity} → ${change.newQuantity} (${change.subscription.Name})\n`;
+        }
+
+        for (const orderItem of order.orderItems || []) {
+          if (orderItem.error) {
+            replyText += `❌ *Order item could not be added:* ${orderItem.product} - ${orderItem.error}\n`;
+          }
+        }
+
+        if (order.note) {
+          replyText += `${order.note}\n`;
+        }
+
+        reviewMsg = channel.reviewMessages.customerAmendment;
+      } else if (order) {
+        audit.error = order.error;
+        replyText += `\n❌ *Seat increase could not be prepared:* ${order.error}\n`;
+        replyText += `Please update the quantity in Customer Lifecycle Manager.\n`;
+      }
+
+      if (flagged.length > 0) {
+        replyText += `\n⚠️ *Not applied - please review:*\n`;
+        for (const change of flagged) {
+          if (change.action === 'no_subscription') {
+            replyText += `• ${change.product.name}: no active subscription found for this product\n`;
+          } else if (change.action === 'decrease') {
+            replyText += `• ${change.product.name}: requested ${change.item.quantity}, subscription has ${change.currentQuantity} (decrease)\n`;
+          } else {
+            replyText += `• ${change.product.name}: subscription already has ${change.currentQuantity} (no change)\n`;
+          }
+        }
+      }
+    } else if (gongSubscription) {
+      // Has existing Gong subscription - provide CLM instructions
+      replyText += `✅ *Has Active Gong Subscription:* ${gongSubscription.Name || 'Yes'}\n`;
+      if (gongSubscription.Ruby__Quantity__c) {
+        replyText += `*Current Quantity:* ${gongSubscription.Ruby__Quantity__c}\n`;
+      }
+      replyText += `\n📋 *To add licenses:*\n`;
+      replyText += `1. Go to Customer Lifecycle Manager\n`;
+      replyText += `2. Update quantity on the subscription\n`;
+      replyText += `3. Checkout → Activate the order → Activate the order → Carry on\n`;
+    } else {
+      // No Gong subscription - they need to set one up
+      replyText += `⚠️ *No active Gong reseller subscription found*\n\n`;
+      replyText += `This customer may need a new Gong subscription set up.`;
+    }
+
+    replyText += `\n\n${reviewers.mentions} - ${reviewMsg}`;
+
+    await postThreadReply(client, message, replyText);
+
+    // The seats are added once the subscription quantity changes
+    if (gongSubscriptions.length > 0) {
+      trackFollowUp(message, reviewers, {
+        subscriptions: gongSubscriptions.map(sub => ({ id: sub.Id, quantity: Number(sub.Ruby__Quantity__c) || 0 })),
+      });
+    }
+  }
+}
+
+// Approval previews waiting for a reviewer, keyed by request (channel:ts)
+const pendingApprovals = new Map();
+
+/**
+ * Whether completing this plan would create anything in Salesforce. For customers
+ * that is only an amendment order, which is only prepared for a seat increase.
+ */
+async function planWritesRecords(plan) {
+  const accountType = describePlanAccount(plan).type.toLowerCase();
+  const createsOpportunity = accountType === 'prospect' || accountType === 'ex-customer';
+  if (plan.contactToCreate || plan.leadToConvert || createsOpportunity) {
+    return true;
+  }
+  if (!CONFIG.autoAmendSubscriptions) {
+    return false;
+  }
+
+  const subscriptions = await findActiveGongSubscriptions(plan.account.Id);
+  return planSubscriptionChanges(plan.request.items, subscriptions).some(change => change.action === 'increase');
+}
+
+/**
+ * Name and type of the plan's account, including an account that is still to be created
+ */
+function describePlanAccount(plan) {
+  return plan.account
+    ? { name: plan.account.Name, type: plan.account.Type || 'Unknown' }
+    : { name: plan.accountToCreate.name, type: plan.accountToCreate.type };
+}
+
+/**
+ * Build the Block Kit preview of what the bot is about to create
+ * @param {Object} pending - Pending approval ({ key, plan })
+ * @param {string} [status] - Replaces the buttons once the preview is resolved
+ */
+function buildApprovalBlocks(pending, status) {
+  const { account, contact, contactToCreate, leadToConvert, request } = pending.plan;
+  const { name: accountName, type: accountType } = describePlanAccount(pending.plan);
+  const createsOpportunity = accountType.toLowerCase() === 'prospect' || accountType.toLowerCase() === 'ex-customer';
+  const leadUrl = leadToConvert && `${CONFIG.sfInstanceUrl}/lightning/r/Lead/${leadToConvert.Id}/view`;
+
+  let previewText = `📝 *License Request Preview* - nothing has been created yet.\n\n` +
+    (account
+      ? `*Account:* <${CONFIG.sfInstanceUrl}/lightning/r/Account/${account.Id}/view|${account.Name}>\n`
+      : `*Account:* ${accountName} _(will be created${leadToConvert ? ' from the Lead' : ''})_\n`) +
+    `*Account Type:* ${accountType}\n`;
+
+  if (contactToCreate) {
+    previewText += `*Contact:* ${contactToCreate.firstName} ${contactToCreate.lastName} (${contactToCreate.email}) _(will be created)_\n`;
+  } else if (contact) {
+    previewText += `*Contact:* <${CONFIG.sfInstanceUrl}/lightning/r/Contact/${contact.Id}/view|${contact.Name}>\n`;
+  } else {
+    previewText += `*Contact:* ${leadToConvert.Name} (${leadToConvert.Email}) _(will be created from the Lead)_\n`;
+  }
+
+  if (leadToConvert) {
+    previewText += `*Lead:* <${leadUrl}|${leadToConvert.Name}> _(will be converted, no opportunity)_\n`;
+  }
+
+  if (createsOpportunity) {
+    const previewAccount = { Name: accountName, Type: accountType };
+    const opportunity = renderOpportunityFields(pending.message, request, previewAccount);
+    previewText += `*Opportunity:* ${opportunity.Name} (${opportunity.StageName}, ${opportunity.Type}, Lead Source: ${opportunity.LeadSource})\n`;
+    if (CONFIG.autoCreateQuote) {
+      const quote = renderTemplate(getRecordTemplate('quote', accountType), buildTemplateContext(pending.message, request, previewAccount));
+      previewText += `*Quote:* ${quote.Name} (${quote.Status}, with line items)\n`;
+    }
+  } else if (CONFIG.autoAmendSubscriptions) {
+    previewText += `*Subscription:* seat increases will be prepared as a Draft order for activation\n`;
+  }
+
+  previewText += request.items.map(item => {
+    const product = getProduct(item.product);
+    return `*Product:* ${product.name} (billed ${product.billingPeriod.toLowerCase()}) - *Quantity:* ${item.quantity}`;
+  }).join('\n');
+
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: previewText },
+    },
+  ];
+
+  if (status) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: status }],
+    });
+  } else {
+    blocks.push({
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          action_id: 'license_approval_create',
+          text: { type: 'plain_text', text: 'Create' },
+          style: 'primary',
+          value: pending.key,
+        },
+        {
+          type: 'button',
+          action_id: 'license_approval_edit',
+          text: { type: 'plain_text', text: 'Edit' },
+          value: pending.key,
+        },
+        {
+          type: 'button',
+          action_id: 'license_approval_skip',
+          text: { type: 'plain_text', text: 'Skip' },
+          style: 'danger',
+          value: pending.key,
+        },
+      ],
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Post the approval preview in the request thread and remember the plan
+ */
+async function postApprovalPreview({ message, client, logger, plan }) {
+  const pending = {
+    key: requestKey(message),
+    message: { channel: message.channel, ts: message.ts },
+    plan,
+    previewTs: null,
+  };
+
+  const result = await client.chat.postMessage({
+    channel: message.channel,
+    thread_ts: message.ts,
+    text: `📝 License request preview for ${describePlanAccount(plan).name} - waiting for approval`,
+    blocks: buildApprovalBlocks(pending),
+    unfurl_links: false,
+  });
+
+  pending.previewTs = result.ts;
+  pendingApprovals.set(pending.key, pending);
+  logger.info(`📝 Posted approval preview for ${pending.key}`);
+}
+
+/**
+ * Replace the preview buttons with a status line
+ */
+async function resolveApprovalPreview(client, pending, status) {
+  try {
+    await client.chat.update({
+      channel: pending.message.channel,
+      ts: pending.previewTs,
+      text: `📝 License request preview for ${describePlanAccount(pending.plan).name}`,
+      blocks: buildApprovalBlocks(pending, status),
+    });
+  } catch (error) {
+    console.error('❌ Error updating approval preview:', error.message);
+  }
+}
+
+/**
+ * Look up the pending approval for a button click, or tell the user it expired
+ */
+async function getPendingApproval(body, client) {
+  const pending = pendingApprovals.get(body.actions[0].value);
+
+  if (!pending) {
+    await client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user.id,
+      thread_ts: body.message.thread_ts,
+      text: '⚠️ This preview is no longer active (already handled or the bot restarted). Mention me in the thread to reprocess the request.',
+    });
+  }
+
+  return pending;
+}
+
+/**
+ * "Create" button - run the existing contact/opportunity creation for the previewed plan
+ */
+async function handleApprovalCreate({ ack, body, client, logger }) {
+  await ack();
+
+  const pending = await getPendingApproval(body, client);
+  if (!pending) {
+    return;
+  }
+
+  // A double-click (or a reprocess from an @mention) must not start a second set of writes
+  if (inFlightRequests.has(pending.key)) {
+    logger.warn(`⚠️ Request ${pending.key} is already being processed, skipping`);
+    return;
+  }
+  inFlightRequests.add(pending.key);
+
+  pendingApprovals.delete(pending.key);
+  await resolveApprovalPreview(client, pending, `✅ Approved by <@${body.user.id}>`);
+
+  const { message } = pending;
+  const audit = createAuditEntry(message, 'approval');
+  audit.fields = pending.plan.request;
+  audit.accountType = describePlanAccount(pending.plan).type;
+  audit.salesforceIds.accountId = pending.plan.account ? pending.plan.account.Id : null;
+  audit.approvedBy = body.user.id;
+
+  try {
+    await completeLicenseRequest({ message, client, logger, audit, plan: pending.plan });
+  } catch (error) {
+    audit.outcome = 'error';
+    audit.error = error.message;
+    logger.error('Error completing approved license request:', error);
+    await postThreadReply(client, message, `❌ Error processing request: ${error.message}`);
+  } finally {
+    inFlightRequests.delete(pending.key);
+    writeAuditEntry(audit);
+  }
+}
+
+app.action('license_approval_create', handleApprovalCreate);
+
+/**
+ * "Skip" button - drop the request without touching Salesforce
+ */
+async function handleApprovalSkip({ ack, body, client }) {
+  await ack();
+
+  const pending = await getPendingApproval(body, client);
+  if (!pending) {
+    return;
+  }
+
+  pendingApprovals.delete(pending.key);
+  await resolveApprovalPreview(client, pending, `⏭️ Skipped by <@${body.user.id}> - nothing was created`);
+
+  const audit = createAuditEntry(pending.message, 'approval');
+  audit.fields = pending.plan.request;
+  audit.accountType = describePlanAccount(pending.plan).type;
+  audit.salesforceIds.accountId = pending.plan.account ? pending.plan.account.Id : null;
+  audit.approvedBy = body.user.id;
+  audit.outcome = 'skipped';
+  writeAuditEntry(audit);
+}
+
+app.action('license_approval_skip', handleApprovalSkip);
+
+/**
+ * "Edit" button - open a modal to correct the account, contact name or license count
+ */
+async function handleApprovalEdit({ ack, body, client }) {
+  await ack();
+
+  const pending = await getPendingApproval(body, client);
+  if (!pending) {
+    return;
+  }
+
+  const { account, contactToCreate, request } = pending.plan;
+
+  // With no account yet (a new one will be created) the field can be left empty
+  const accountElement = { type: 'plain_text_input', action_id: 'value' };
+  if (account) {
+    accountElement.initial_value = account.Id;
+  }
+
+  const blocks = [
+    {
+      type: 'input',
+      block_id: 'account',
+      optional: !account,
+      label: { type: 'plain_text', text: 'Account (Salesforce ID or exact name)' },
+      hint: {
+        type: 'plain_text',
+        text: `Currently: ${account ? account.Name : `${describePlanAccount(pending.plan).name} (new account)`}`,
+      },
+      element: accountElement,
+    },
+  ];
+
+  // Name fields only matter when the bot is going to create the contact
+  if (contactToCreate) {
+    blocks.push(
+      {
+        type: 'input',
+        block_id: 'first_name',
+        label: { type: 'plain_text', text: 'Contact first name' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          initial_value: contactToCreate.firstName,
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'last_name',
+        label: { type: 'plain_text', text: 'Contact last name' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          initial_value: contactToCreate.lastName,
+        },
+      }
+    );
+  }
+
+  request.items.forEach((item, i) => {
+    blocks.push({
+      type: 'input',
+      block_id: `license_count_${i}`,
+      label: { type: 'plain_text', text: `${getProduct(item.product).name} license count` },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'value',
+        initial_value: String(item.quantity),
+      },
+    });
+  });
+
+  await client.views.open({
+    trigger_id: body.trigger_id,
+    view: {
+      type: 'modal',
+      callback_id: 'license_approval_edit',
+      private_metadata: pending.key,
+      title: { type: 'plain_text', text: 'Edit license request' },
+      submit: { type: 'plain_text', text: 'Update preview' },
+      close: { type: 'plain_text', text: 'Cancel' },
+      blocks,
+    },
+  });
+}
+
+app.action('license_approval_edit', handleApprovalEdit);
+
+/**
+ * Edit modal submitted - validate, update the plan and refresh the preview
+ */
+async function handleApprovalEditSubmission({ ack, body, view, client, logger }) {
+  const pending = pendingApprovals.get(view.private_metadata);
+  const values = view.state.values;
+
+  if (!pending) {
+    await ack({
+      response_action: 'errors',
+      errors: { account: 'This preview is no longer active. Mention me in the thread to reprocess the request.' },
+    });
+    return;
+  }
+
+  // Only checks that need no Salesforce call - Slack closes the modal if ack() takes longer than 3 seconds
+  const errors = {};
+  const plan = { ...pending.plan };
+
+  // License counts, one per product
+  const items = plan.request.items.map((item, i) => {
+    const countValue = values[`license_count_${i}`].value.value.trim();
+    const quantity = parseInt(countValue, 10);
+    if (!/^\d+$/.test(countValue) || quantity < 1) {
+      errors[`license_count_${i}`] = 'Enter a whole number greater than 0';
+    }
+    return { ...item, quantity };
+  });
+
+  const accountValue = (values.account.value.value || '').trim();
+  if (!accountValue && plan.account) {
+    errors.account = 'Enter an account name or Salesforce ID';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+
+  await ack();
+
+  // Account lookups happen after the modal closed, so problems are reported in the thread
+  const reportEditProblem = problem => postThreadReply(client, pending.message,
+    `⚠️ Could not apply the edit from <@${body.user.id}>: ${problem}\n` +
+    `The preview was not changed - click *Edit* to try again.`);
+
+  const currentAccountId = plan.account ? plan.account.Id : '';
+  let account = plan.account;
+  if (accountValue !== currentAccountId) {
+    if (/^001[a-zA-Z0-9]{12}([a-zA-Z0-9]{3})?$/.test(accountValue)) {
+      account = await getAccountById(accountValue);
+    } else {
+      const sameName = (await findAccountCandidatesByName(accountValue))
+        .filter(candidate => candidate.Name.toLowerCase() === accountValue.toLowerCase());
+      const ids = new Set(sameName.map(candidate => candidate.Id));
+      account = ids.size === 1 ? sameName[0] : null;
+
+      if (ids.size > 1) {
+        await reportEditProblem(`${ids.size} accounts are named "${accountValue}" - enter the Salesforce ID instead.`);
+        return;
+      }
+    }
+
+    if (!account) {
+      await reportEditProblem(`No account found for "${accountValue}".`);
+      return;
+    }
+  }
+
+  // A different account means the contact has to be looked up (or created) there
+  if (account && account.Id !== currentAccountId) {
+    const email = plan.request.admin.email;
+    const existingContact = await findContactByEmailAndAccount(email, account.Id);
+    plan.accountToCreate = null;
+
+    if (existingContact) {
+      plan.contact = existingContact;
+      plan.contactToCreate = null;
+    } else if (plan.leadToConvert) {
+      plan.contact = null;
+      plan.contactToCreate = null;
+    } else if (plan.contactToCreate || !plan.request.errors.adminName) {
+      plan.contact = null;
+      plan.contactToCreate = plan.contactToCreate || {
+        firstName: plan.request.admin.firstName,
+        lastName: plan.request.admin.lastName,
+        email,
+      };
+    } else {
+      await reportEditProblem(`No contact for ${email} on ${account.Name}, and no admin name to create one.`);
+      return;
+    }
+  }
+
+  // Created or skipped while the lookups ran
+  if (pendingApprovals.get(pending.key) !== pending) {
+    return;
+  }
+
+  plan.account = account;
+  plan.request = { ...plan.request, items };
+
+  if (plan.contactToCreate && values.first_name) {
+    plan.contactToCreate = {
+      ...plan.contactToCreate,
+      firstName: values.first_name.value.value.trim(),
+      lastName: values.last_name.value.value.trim(),
+    };
+  }
+
+  pending.plan = plan;
+  logger.info(`✏️ Approval preview edited for ${pending.key}`);
+
+  try {
+    await client.chat.update({
+      channel: pending.message.channel,
+      ts: pending.previewTs,
+      text: `📝 License request preview for ${describePlanAccount(plan).name} - waiting for approval`,
+      blocks: buildApprovalBlocks(pending),
+    });
+  } catch (error) {
+    logger.error('Error refreshing approval preview:', error);
+  }
+}
+
+app.view('license_approval_edit', handleApprovalEditSubmission);
+
+// Account choices waiting for someone to pick the right account, keyed by request (channel:ts)
+const pendingAccountChoices = new Map();
+
+/**
+ * Build the Block Kit list of candidate accounts with a button per account
+ * @param {Object} pending - Pending account choice ({ key, request, lead, candidates })
+ * @param {string} [status] - Replaces the buttons once a choice is made
+ */
+function buildAccountChoiceBlocks(pending, status) {
+  const { request, candidates } = pending;
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `🤔 *Which account is this?*\n` +
+          `No account matched \`${request.admin.email}\`${request.company ? ` / *${request.company}*` : ''} confidently. ` +
+          `Pick the right one and I'll carry on with the request.`,
+      },
+    },
+  ];
+
+  for (const candidate of candidates) {
+    const { account } = candidate;
+    const details = [account.Type || 'No type', normalizeWebsite(account.Website) || 'no website', `score ${candidate.score}`];
+    const block = {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*<${CONFIG.sfInstanceUrl}/lightning/r/Account/${account.Id}/view|${account.Name}>*\n` +
+          `${details.join(' · ')}${candidate.reasons.length > 0 ? ` (${candidate.reasons.join(', ')})` : ''}`,
+      },
+    };
+
+    if (!status) {
+      block.accessory = {
+        type: 'button',
+        action_id: 'license_account_choose',
+        text: { type: 'plain_text', text: 'Use this account' },
+        value: `${pending.key}|${account.Id}`,
+      };
+    }
+
+    blocks.push(block);
+  }
+
+  if (status) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: status }],
+    });
+  } else {
+    blocks.push({
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          action_id: 'license_account_none',
+          text: {
+            type: 'plain_text',
+            text: canCreateAccount(pending.request, pending.lead) ? 'None - create a new account' : 'None of these',
+          },
+          value: pending.key,
+        },
+      ],
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Post the top candidate accounts in the request thread and remember the request
+ */
+async function postAccountChoices({ message, client, logger, request, lead, candidates }) {
+  const pending = {
+    key: requestKey(message),
+    message: { channel: message.channel, ts: message.ts },
+    request,
+    lead,
+    candidates: candidates.slice(0, 5),
+    choiceTs: null,
+  };
+
+  const result = await client.chat.postMessage({
+    channel: message.channel,
+    thread_ts: message.ts,
+    text: `🤔 Several Salesforce accounts could match ${request.admin.email} - please pick one`,
+    blocks: buildAccountChoiceBlocks(pending),
+    unfurl_links: false,
+  });
+
+  pending.choiceTs = result.ts;
+  pendingAccountChoices.set(pending.key, pending);
+  logger.info(`🤔 Posted ${pending.candidates.length} account candidates for ${pending.key}`);
+}
+
+/**
+ * Replace the candidate buttons with a status line
+ */
+async function resolveAccountChoices(client, pending, status) {
+  try {
+    await client.chat.update({
+      channel: pending.message.channel,
+      ts: pending.choiceTs,
+      text: `🤔 Account candidates for ${pending.request.admin.email}`,
+      blocks: buildAccountChoiceBlocks(pending, status),
+    });
+  } catch (error) {
+    console.error('❌ Error updating account choices:', error.message);
+  }
+}
+
+/**
+ * Look up the pending account choice for a button click, or tell the user it expired
+ */
+async function getPendingAccountChoice(body, client) {
+  const [key] = body.actions[0].value.split('|');
+  const pending = pendingAccountChoices.get(key);
+
+  if (!pending) {
+    await client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user.id,
+      thread_ts: body.message.thread_ts,
+      text: '⚠️ This account choice is no longer active (already handled or the bot restarted). Mention me in the thread to reprocess the request.',
+    });
+  }
+
+  return pending;
+}
+
+/**
+ * "Use this account" button - carry on with the request on the chosen account
+ */
+async function handleAccountChoice({ ack, body, client, logger }) {
+  await ack();
+
+  const pending = await getPendingAccountChoice(body, client);
+  if (!pending) {
+    return;
+  }
+
+  const accountId = body.actions[0].value.split('|')[1];
+  const candidate = pending.candidates.find(c => c.account.Id === accountId);
+  if (!candidate) {
+    return;
+  }
+
+  pendingAccountChoices.delete(pending.key);
+  await resolveAccountChoices(client, pending, `✅ <@${body.user.id}> chose *${candidate.account.Name}*`);
+
+  const { message, request } = pending;
+  const audit = createAuditEntry(message, 'account_choice');
+  audit.fields = request;
+  audit.resolution.push('account_chosen_in_slack');
+  audit.chosenBy = body.user.id;
+  if (pending.lead) {
+    audit.salesforceIds.leadId = pending.lead.Id;
+  }
+
+  inFlightRequests.add(pending.key);
+  try {
+    await planLicenseRequest({
+      message,
+      client,
+      logger,
+      audit,
+      request,
+      account: candidate.account,
+      contact: null,
+      lead: pending.lead,
+    });
+  } catch (error) {
+    audit.outcome = 'error';
+    audit.error = error.message;
+    logger.error('Error processing license request on chosen account:', error);
+    await postThreadReply(client, message, `❌ Error processing request: ${error.message}`);
+  } finally {
+    inFlightRequests.delete(pending.key);
+    writeAuditEntry(audit);
+  }
+}
+
+app.action('license_account_choose', handleAccountChoice);
+
+/**
+ * "None of these" button - carry on with a new account (from the Lead, or auto-created)
+ * when possible, otherwise leave the request for manual processing
+ */
+async function handleAccountNone({ ack, body, client, logger }) {
+  await ack();
+
+  const pending = await getPendingAccountChoice(body, client);
+  if (!pending) {
+    return;
+  }
+
+  pendingAccountChoices.delete(pending.key);
+
+  const { message, request, lead } = pending;
+  const audit = createAuditEntry(message, 'account_choice');
+  audit.fields = request;
+  audit.chosenBy = body.user.id;
+
+  if (!canCreateAccount(request, lead)) {
+    await resolveAccountChoices(client, pending,
+      `⏭️ <@${body.user.id}>: none of these - please create the account, contact, and opportunity manually`);
+    audit.outcome = 'account_not_found';
+    writeAuditEntry(audit);
+    return;
+  }
+
+  await resolveAccountChoices(client, pending,
+    `✅ <@${body.user.id}>: none of these - ${lead ? 'converting the Lead into a new account' : 'creating a new Prospect account'}`);
+  if (lead) {
+    audit.salesforceIds.leadId = lead.Id;
+  }
+
+  inFlightRequests.add(pending.key);
+  try {
+    await planLicenseRequest({ message, client, logger, audit, request, account: null, contact: null, lead });
+  } catch (error) {
+    audit.outcome = 'error';
+    audit.error = error.message;
+    logger.error('Error processing license request on a new account:', error);
+    await postThreadReply(client, message, `❌ Error processing request: ${error.message}`);
+  } finally {
+    inFlightRequests.delete(pending.key);
+    writeAuditEntry(audit);
+  }
+}
+
+app.action('license_account_none', handleAccountNone);
+
+/**
+ * App mention handler - allows manual processing of messages
+ * Usage: @Gong License Bot in a thread to reprocess that message
+ */
+async function handleAppMention({ event, client, logger }) {
+  try {
+    // Check if this mention is in a thread
+    if (!event.thread_ts) {
+      await client.chat.postMessage({
+        channel: event.channel,
+        thread_ts: event.ts,
+        text: 'ð To process a license request, mention me in the thread of a Zapier message.',
+      });
+      return;
+    }
+
+    // Get the parent message of this thread
+    const result = await client.conversations.history({
+      channel: event.channel,
+      latest: event.thread_ts,
+      inclusive: true,
+      limit: 1,
+    });
+
+    if (!result.messages || result.messages.length === 0) {
+      await client.chat.postMessage({
+        channel: event.channel,
+        thread_ts: event.thread_ts,
+        text: '❌ Could not find the parent message.',
+      });
+      return;
+    }
+
+    const parentMessage = result.messages[0];
+
+    // Process the parent message as if it were a new license request
+    logger.info('ð Manual processing triggered via @mention');
+
+    // Simulate the message object
+    const simulatedMessage = {
+      ...parentMessage,
+      channel: event.channel,
+    };
+
+    // Extract email from the message
+    const customerEmail = parseLicenseRequest(getMessageText(parentMessage)).admin.email;
+    if (!customerEmail) {
+      const audit = createAuditEntry(simulatedMessage, 'app_mention');
+      audit.outcome = 'missing_email';
+      writeAuditEntry(audit);
+
+      await client.chat.postMessage({
+        channel: event.channel,
+        thread_ts: event.thread_ts,
+        text: '❌ Could not find a customer email in this message.',
+      });
+      return;
+    }
+
+    await client.chat.postMessage({
+      channel: event.channel,
+      thread_ts: event.thread_ts,
+      text: `🔄 Processing license request for: ${customerEmail}`,
+    });
+
+    await processLicenseRequest({ message: simulatedMessage, client, logger, trigger: 'app_mention' });
+
+  } catch (error) {
+    logger.error('Error processing app_mention:', error);
+    try {
+      await client.chat.postMessage({
+        channel: event.channel,
+        thread_ts: event.thread_ts || event.ts,
+        text: `❌ Error processing request: ${error.message}`,
+      });
+    } catch (e) {}
+  }
+}
 
-    console.log(`📦 Creating Quote Line Item:`);
-    console.log(`   Product: ${productName}`);
-    console.log(`   PriceBookEntryId: ${priceBookEntryId}`);
-    console.log(`   Quantity: ${quantity}`);
+app.event('app_mention', handleAppMention);
 
-    const lineItemData = {
-      QuoteId: quoteId,
-      PricebookEntryId: priceBookEntryId,
-      Quantity: quantity,
-      // UnitPrice will be pulled from the Price Book Entry
-    };
+/**
+ * Work out what the bot would do for an email, without writing anything.
+ * Follows the same resolution chain as processLicenseRequest.
+ */
+async function describeLookup(email, companyName) {
+  const lines = [`🔎 *Lookup for* \`${email}\`${companyName ? ` / *${companyName}*` : ''}\n`];
 
-    const result = await sfConnection.sobject('QuoteLineItem').create(lineItemData);
+  let account = null;
+  let lead = null;
+  let action = null;
+  const contact = await findContactByEmail(email);
 
-    if (result.success) {
-      console.log(`✅ Created Quote Line Item: ${productName} x ${quantity} (${result.id})`);
-      return {
-        id: result.id,
-        product: productName,
-        quantity: quantity,
-      };
-    } else {
-      console.error('❌ Failed to create quote line item:', result.errors);
-      return null;
+  if (contact) {
+    lines.push(`*Contact:* <${CONFIG.sfInstanceUrl}/lightning/r/Contact/${contact.Id}/view|${contact.Name}>`);
+    account = contact.Account || await getAccountById(contact.AccountId);
+
+    if (!account) {
+      lines.push(`*Account:* Could not find account for contact: ${contact.Name}`);
+      lines.push('\n*Would:* post for manual processing');
+      return lines.join('\n');
+    }
+  } else {
+    lines.push('*Contact:* not found by email');
+
+    lead = await findLeadByEmail(email);
+    if (lead) {
+      lines.push(`*Lead:* <${CONFIG.sfInstanceUrl}/lightning/r/Lead/${lead.Id}/view|${lead.Name}> ` +
+        `(${lead.Company || 'no company'}, ${lead.Status}) - would be converted`);
+    }
+
+    const searchName = companyName || (lead && lead.Company);
+    const match = await resolveAccount(email, searchName);
+    account = match.account;
+    if (match.freeEmailDomain) {
+      lines.push(`*Email domain:* ${match.freeEmailDomain} is a personal email provider - matched by company name only`);
+    }
+    if (account) {
+      lines.push(match.matchedBy === 'account_found_by_domain'
+        ? `*Matched by:* email domain (${email.split('@')[1]}), score ${match.candidates[0].score}`
+        : `*Matched by:* company name (${searchName}), score ${match.candidates[0].score}`);
+    } else if (match.candidates.length > 0) {
+      lines.push(`*Account:* no confident match, candidates:`);
+      lines.push(...match.candidates.slice(0, 5).map(candidate =>
+        `• <${CONFIG.sfInstanceUrl}/lightning/r/Account/${candidate.account.Id}/view|${candidate.account.Name}> - score ${candidate.score}` +
+        `${candidate.reasons.length > 0 ? ` (${candidate.reasons.join(', ')})` : ''}`));
+      lines.push('\n*Would:* ask in the thread which account to use');
+      return lines.join('\n');
     }
+
+    if (account) {
+      const existingContact = await findContactByEmailAndAccount(email, account.Id);
+      lines.push(existingContact
+        ? `*Contact on account:* <${CONFIG.sfInstanceUrl}/lightning/r/Contact/${existingContact.Id}/view|${existingContact.Name}>`
+        : `*Contact on account:* none - a contact would be ${lead ? 'converted from the Lead' : `created for ${email}`}`);
+    }
+  }
+
+  if (!account && lead) {
+    // Same name planLicenseRequest gives the account a conversion creates
+    const accountName = lead.Company || companyName;
+    lines.push(`*Account:* not found - the Lead would be converted into a new Prospect account *${accountName}*`);
+    const opportunityName = renderOpportunityFields(null, { company: companyName }, { Name: accountName, Type: 'Prospect' }).Name;
+    lines.push(`\n*Would:* convert the Lead, then create opportunity *${opportunityName}*${CONFIG.approvalMode ? ' (after approval)' : ''}`);
+    return lines.join('\n');
+  }
+
+  if (!account && canCreateAccount({ company: companyName }, null)) {
+    lines.push(`*Account:* not found - a new Prospect account *${companyName}* would be created`);
+    const opportunityName = renderOpportunityFields(null, { company: companyName }, { Name: companyName, Type: 'Prospect' }).Name;
+    lines.push(`\n*Would:* create the account, contact, and opportunity *${opportunityName}*${CONFIG.approvalMode ? ' (after approval)' : ''}`);
+    return lines.join('\n');
+  }
+
+  if (!account) {
+    lines.push(`*Account:* not found by domain${companyName ? ' or name' : ' (add a company name to also search by name)'}`);
+    lines.push('\n*Would:* post for manual processing (create the account, contact and opportunity manually)');
+    return lines.join('\n');
+  }
+
+  const accountType = account.Type || 'Unknown';
+  lines.push(`*Account:* <${CONFIG.sfInstanceUrl}/lightning/r/Account/${account.Id}/view|${account.Name}>`);
+  lines.push(`*Account Type:* ${accountType}`);
+
+  const subscriptions = await findActiveGongSubscriptions(account.Id);
+  lines.push(subscriptions.length > 0
+    ? `*Gong Subscription:* ${subscriptions.map(sub => `${sub.Name} (${sub.Ruby__ProductName__c || 'Unknown product'}, qty ${sub.Ruby__Quantity__c || 0})`).join(', ')}`
+    : '*Gong Subscription:* none active');
+
+  if (accountType.toLowerCase() === 'prospect' || accountType.toLowerCase() === 'ex-customer') {
+    const existingOpportunity = await findExistingOpportunity(null, account);
+    action = existingOpportunity
+      ? `link the existing opportunity <${existingOpportunity.url}|${existingOpportunity.name}> instead of creating one`
+      : `create opportunity *${renderOpportunityFields(null, { company: companyName }, account).Name}*` +
+        `${CONFIG.autoCreateQuote ? ' with a Draft quote' : ''}`;
+  } else if (subscriptions.length > 0) {
+    action = CONFIG.autoAmendSubscriptions
+      ? 'prepare a Draft amendment order for any seat increase and tag the reviewer'
+      : 'post Customer Lifecycle Manager steps and tag the reviewer';
+  } else {
+    action = 'flag that the customer may need a new Gong subscription and tag the reviewer';
+  }
+
+  if (CONFIG.approvalMode) {
+    action += ' (after approval)';
+  }
+
+  lines.push(`\n*Would:* ${action}`);
+  return lines.join('\n');
+}
+
+/**
+ * Slash command for read-only lookups
+ * Usage: /gong-license lookup jane@acme.com [Company Name]
+ */
+app.command('/gong-license', async ({ command, ack, respond, logger }) => {
+  await ack();
+
+  const [subcommand, email, ...nameParts] = (command.text || '').trim().split(/\s+/);
+  const cleanEmail = (cleanSlackText(email || '').match(EMAIL_PATTERN) || [])[0];
+
+  if (subcommand !== 'lookup' || !cleanEmail) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'Usage: `/gong-license lookup jane@acme.com [Company Name]`\n' +
+        'Shows what the bot would do for a license request from that admin. Nothing is written to Salesforce.',
+    });
+    return;
+  }
+
+  try {
+    if (!sfConnection) {
+      const connected = await initSalesforce();
+      if (!connected) {
+        await respond({ response_type: 'ephemeral', text: '❌ Could not connect to Salesforce. Please try again later.' });
+        return;
+      }
+    }
+
+    logger.info(`🔎 Lookup requested by ${command.user_id} for ${cleanEmail}`);
+    const text = await describeLookup(cleanEmail.toLowerCase(), nameParts.join(' ') || null);
+
+    await respond({ response_type: 'ephemeral', text });
   } catch (error) {
-    console.error('❌ Error creating quote line item:', error.message);
-    return null;
+    logger.error('Error processing /gong-license lookup:', error);
+    await respond({ response_type: 'ephemeral', text: `❌ Error during lookup: ${error.message}` });
   }
+});
+
+// Request outcomes grouped into the results /metrics reports (anything else counts as 'other')
+const OUTCOME_RESULTS = {
+  opportunity_created: 'opportunity_created',
+  customer_account: 'customer_path',
+  subscription_amendment_created: 'customer_path',
+  invalid_request: 'manual_fallback',
+  missing_email: 'manual_fallback',
+  missing_admin_name: 'manual_fallback',
+  account_not_found: 'manual_fallback',
+  account_not_found_for_contact: 'manual_fallback',
+  awaiting_account_choice: 'awaiting_review',
+  awaiting_approval: 'awaiting_review',
+  error: 'error',
+  salesforce_unavailable: 'error',
+  account_not_created: 'error',
+  lead_not_converted: 'error',
+  contact_not_created: 'error',
+  opportunity_failed: 'error',
+};
+
+// Upper bounds (seconds) of the Salesforce call latency histogram buckets
+const SALESFORCE_LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Counters and histograms for /metrics, each a Map of label values (JSON) -> value
+const metrics = {
+  requestsDetected: new Map(),
+  requestResults: new Map(),
+  salesforceCalls: new Map(),
+};
+
+// Socket Mode connection state, from the Socket Mode client's state events
+const slackConnection = { state: 'disconnected', since: Date.now() };
+
+for (const state of ['connecting', 'connected', 'reconnecting', 'disconnecting', 'disconnected', 'failed']) {
+  app.receiver.client.on(state, () => {
+    slackConnection.state = state;
+    slackConnection.since = Date.now();
+  });
 }
 
 /**
- * Build Salesforce URLs
+ * Add one to a counter for the given labels
  */
-function buildSalesforceUrls(contact, account) {
+function incrementCounter(counter, labels) {
+  const key = JSON.stringify(labels);
+  const entry = counter.get(key) || { labels, value: 0 };
+  entry.value++;
+  counter.set(key, entry);
+}
+
+/**
+ * Count a license request picked up from Slack, the webhook or an @mention
+ */
+function recordRequestDetected(trigger, channel) {
+  incrementCounter(metrics.requestsDetected, { trigger, channel: channel || 'unknown' });
+}
+
+/**
+ * Count a finished audit entry by result group and outcome
+ */
+function recordRequestOutcome(entry) {
+  const outcome = entry.outcome || 'unknown';
+  incrementCounter(metrics.requestResults, { result: OUTCOME_RESULTS[outcome] || 'other', outcome });
+}
+
+/**
+ * Record how long a Salesforce call took, including retries
+ * @param {string} label - sfCall label, e.g. 'query Account' or 'create Contact'
+ */
+function recordSalesforceCall(label, startedAt, status) {
+  const [operation, sobjectType = ''] = label.split(' ');
+  const labels = { operation, sobject: sobjectType, status };
+  const key = JSON.stringify(labels);
+  const seconds = (Date.now() - startedAt) / 1000;
+
+  const entry = metrics.salesforceCalls.get(key) ||
+    { labels, buckets: SALESFORCE_LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+  SALESFORCE_LATENCY_BUCKETS.forEach((bound, i) => {
+    if (seconds <= bound) {
+      entry.buckets[i]++;
+    }
+  });
+  entry.sum += seconds;
+  entry.count++;
+  metrics.salesforceCalls.set(key, entry);
+}
+
+/**
+ * Slack and Salesforce connection status for /healthz and /readyz
+ */
+function getHealthStatus() {
+  const now = Date.now();
+  const slackConnected = slackConnection.state === 'connected';
+  // An expired token is refreshed on the next call, so only a failed login makes Salesforce unavailable
+  const salesforceConnected = Boolean(sfConnection) && !sfLastAuthError;
+
   return {
-    contactUrl: `${CONFIG.sfInstanceUrl}/lightning/r/Contact/${contact.Id}/view`,
-    accountUrl: `${CONFIG.sfInstanceUrl}/lightning/r/Account/${account.Id}/view`,
+    ok: slackConnected && salesforceConnected,
+    uptimeSeconds: Math.round(process.uptime()),
+    slack: {
+      connected: slackConnected,
+      state: slackConnection.state,
+      since: new Date(slackConnection.since).toISOString(),
+    },
+    salesforce: {
+      connected: salesforceConnected,
+      tokenAgeSeconds: sfTokenIssuedAt ? Math.round((now - sfTokenIssuedAt) / 1000) : null,
+      tokenExpiresAt: sfTokenExpiry ? new Date(sfTokenExpiry).toISOString() : null,
+      lastSuccessfulQueryAt: sfLastQueryAt ? new Date(sfLastQueryAt).toISOString() : null,
+      lastAuthError: sfLastAuthError,
+    },
   };
 }
 
 /**
- * Main message handler for license requests
+ * GET /healthz - the process is up; reports connection status without failing on it
+ */
+function handleHealthz(req, res) {
+  sendJson(res, 200, getHealthStatus());
+}
+
+/**
+ * GET /readyz - 503 until Socket Mode is connected and Salesforce login works
+ */
+function handleReadyz(req, res) {
+  const status = getHealthStatus();
+  sendJson(res, status.ok ? 200 : 503, status);
+}
+
+/**
+ * Format one Prometheus sample line
+ */
+function formatMetricLine(name, labels, value) {
+  const labelText = Object.entries(labels)
+    .map(([key, labelValue]) => `${key}="${String(labelValue).replace(/["\\\n]/g, char => (char === '\n' ? '\\n' : `\\${char}`))}"`)
+    .join(',');
+  return `${name}${labelText ? `{${labelText}}` : ''} ${value}`;
+}
+
+/**
+ * Render all metrics in the Prometheus text format
+ */
+function formatPrometheusMetrics() {
+  const health = getHealthStatus();
+  const lines = [];
+
+  lines.push('# HELP license_bot_requests_detected_total License requests picked up, by trigger and channel');
+  lines.push('# TYPE license_bot_requests_detected_total counter');
+  for (const { labels, value } of metrics.requestsDetected.values()) {
+    lines.push(formatMetricLine('license_bot_requests_detected_total', labels, value));
+  }
+
+  lines.push('# HELP license_bot_request_results_total Finished license requests, by result and audit outcome');
+  lines.push('# TYPE license_bot_request_results_total counter');
+  for (const { labels, value } of metrics.requestResults.values()) {
+    lines.push(formatMetricLine('license_bot_request_results_total', labels, value));
+  }
+
+  lines.push('# HELP license_bot_salesforce_call_duration_seconds Salesforce call latency, including retries');
+  lines.push('# TYPE license_bot_salesforce_call_duration_seconds histogram');
+  for (const { labels, buckets, sum, count } of metrics.salesforceCalls.values()) {
+    SALESFORCE_LATENCY_BUCKETS.forEach((bound, i) => {
+      lines.push(formatMetricLine('license_bot_salesforce_call_duration_seconds_bucket', { ...labels, le: bound }, buckets[i]));
+    });
+    lines.push(formatMetricLine('license_bot_salesforce_call_duration_seconds_bucket', { ...labels, le: '+Inf' }, count));
+    lines.push(formatMetricLine('license_bot_salesforce_call_duration_seconds_sum', labels, sum));
+    lines.push(formatMetricLine('license_bot_salesforce_call_duration_seconds_count', labels, count));
+  }
+
+  lines.push('# HELP license_bot_slack_connected Whether the Socket Mode connection is open');
+  lines.push('# TYPE license_bot_slack_connected gauge');
+  lines.push(formatMetricLine('license_bot_slack_connected', {}, health.slack.connected ? 1 : 0));
+
+  lines.push('# HELP license_bot_salesforce_connected Whether the last Salesforce login succeeded');
+  lines.push('# TYPE license_bot_salesforce_connected gauge');
+  lines.push(formatMetricLine('license_bot_salesforce_connected', {}, health.salesforce.connected ? 1 : 0));
+
+  if (health.salesforce.tokenAgeSeconds !== null) {
+    lines.push('# HELP license_bot_salesforce_token_age_seconds Age of the Salesforce access token');
+    lines.push('# TYPE license_bot_salesforce_token_age_seconds gauge');
+    lines.push(formatMetricLine('license_bot_salesforce_token_age_seconds', {}, health.salesforce.tokenAgeSeconds));
+  }
+
+  if (sfLastQueryAt) {
+    lines.push('# HELP license_bot_salesforce_last_successful_query_timestamp_seconds When the last Salesforce query succeeded');
+    lines.push('# TYPE license_bot_salesforce_last_successful_query_timestamp_seconds gauge');
+    lines.push(formatMetricLine('license_bot_salesforce_last_successful_query_timestamp_seconds', {}, sfLastQueryAt / 1000));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * GET /metrics - Prometheus scrape endpoint
+ */
+function handleMetrics(req, res) {
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+  res.end(formatPrometheusMetrics());
+}
+
+/**
+ * HTTP routes served next to Socket Mode on CONFIG.port
+ */
+function buildCustomRoutes() {
+  const routes = [
+    { path: '/healthz', method: ['GET'], handler: handleHealthz },
+    { path: '/readyz', method: ['GET'], handler: handleReadyz },
+    { path: '/metrics', method: ['GET'], handler: handleMetrics },
+  ];
+
+  if (CONFIG.webhookSecret) {
+    routes.push({
+      path: '/webhooks/license-request',
+      method: ['POST'],
+      handler: handleLicenseWebhook,
+    });
+  }
+
+  return routes;
+}
+
+/**
+ * Write a JSON response
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body (up to 100KB)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > 100 * 1024) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body || '{}'));
+      } catch (error) {
+        reject(new Error('Request body is not valid JSON'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Whether a parsed JSON value is an object (not null, an array or a primitive)
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check the webhook secret, sent as "Authorization: Bearer <secret>" or "X-Webhook-Secret"
+ */
+function isAuthorizedWebhook(req) {
+  const header = req.headers.authorization || '';
+  const provided = header.startsWith('Bearer ')
+    ? header.substring(7)
+    : req.headers['x-webhook-secret'] || '';
+
+  const expected = Buffer.from(CONFIG.webhookSecret);
+  const actual = Buffer.from(provided);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Build a LicenseRequest from the webhook JSON. Accepts either
+ * { customerName, admin: { firstName, middleName, lastName, email }, items: [{ product, quantity }] }
+ * or flat adminFirstName/adminLastName/adminEmail and product/quantity fields.
+ * @returns {LicenseRequest}
+ */
+function parseWebhookRequest(body) {
+  const errors = {};
+  const defaulted = {};
+  const adminBody = isPlainObject(body.admin) ? body.admin : {};
+  const text = value => (value === undefined || value === null ? null : String(value).trim() || null);
+
+  const company = text(body.customerName || body.company);
+  if (!company) {
+    errors.company = 'customerName is missing';
+  }
+
+  const email = text(adminBody.email || body.adminEmail);
+  const admin = {
+    firstName: text(adminBody.firstName || body.adminFirstName),
+    middleName: text(adminBody.middleName || body.adminMiddleName),
+    lastName: text(adminBody.lastName || body.adminLastName),
+    email: email ? email.toLowerCase() : null,
+  };
+
+  if (!admin.email || !EMAIL_PATTERN.test(admin.email)) {
+    errors.email = admin.email ? `"${admin.email}" is not a valid email address` : 'admin.email is missing';
+    admin.email = null;
+  }
+  if (!admin.firstName || !admin.lastName) {
+    errors.adminName = 'admin.firstName and admin.lastName are required to create a contact';
+  }
+
+  const rawItems = Array.isArray(body.items)
+    ? body.items
+    : [{ product: body.product, quantity: body.quantity }];
+
+  const items = [];
+  for (const [index, rawItem] of rawItems.entries()) {
+    if (!isPlainObject(rawItem)) {
+      errors.product = `items[${index}] must be an object with product and quantity`;
+      continue;
+    }
+
+    const productValue = text(rawItem.product);
+    const productKey = productValue && (getProduct(productValue) ? productValue : findProductKey(productValue));
+    const quantity = Number(rawItem.quantity);
+
+    if (!productKey) {
+      errors.product = productValue
+        ? `unknown product "${productValue}" (expected one of: ${PRODUCT_CATALOG.products.map(p => p.key).join(', ')})`
+        : 'product is missing';
+    } else if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.quantity = `"${rawItem.quantity}" is not a valid license count for ${productValue}`;
+    } else {
+      items.push({ product: productKey, quantity });
+    }
+  }
+
+  if (new Set(items.map(item => item.product)).size !== items.length) {
+    errors.product = 'the same product is listed more than once';
+  }
+
+  if (items.length === 0) {
+    items.push({ product: PRODUCT_CATALOG.defaultProduct, quantity: 1 });
+    if (errors.product) {
+      defaulted.product = true;
+    }
+    if (errors.quantity) {
+      defaulted.quantity = true;
+    }
+  }
+
+  return {
+    company,
+    admin,
+    items,
+    extraFields: isPlainObject(body.extraFields) ? body.extraFields : {},
+    errors,
+    defaulted,
+  };
+}
+
+/**
+ * Render a structured request in the Zapier message layout, so the thread
+ * looks the same and @mention reprocessing can parse it
+ */
+function formatRequestMessage(request) {
+  const adminName = [request.admin.firstName, request.admin.middleName, request.admin.lastName].filter(Boolean).join(' ');
+
+  let text = `📨 *New ChiliPiper License Request (webhook)*\n\n` +
+    `*Customer Name:* ${request.company || 'Unknown'}\n` +
+    `*Customer Admin:* ${adminName} ${request.admin.email}\n` +
+    `*License Type:* ${request.items.map(item => getProduct(item.product).name).join(', ')}\n` +
+    `*License Count:* ${request.items.map(item => item.quantity).join(', ')}`;
+
+  for (const [label, value] of Object.entries(request.extraFields)) {
+    text += `\n*${label}:* ${value}`;
+  }
+
+  return text;
+}
+
+/**
+ * POST /webhooks/license-request - structured license request intake.
+ * Validates the body and answers 202 right away (so caller timeouts don't trigger retries),
+ * then posts the request to the intake channel (body.channel, or the first configured one)
+ * and runs the normal pipeline in its thread. A "request_id" in the body (or an
+ * Idempotency-Key header) makes retries of the same request a no-op.
  */
-app.message(async ({ message, client, logger }) => {
+async function handleLicenseWebhook(req, res) {
+  // Bolt doesn't catch errors from custom routes, so nothing may escape this handler
   try {
-    // Skip bot messages (except from Zapier) and message edits
-    if (message.subtype === 'message_changed') {
+    if (!isAuthorizedWebhook(req)) {
+      sendJson(res, 401, { ok: false, error: 'unauthorized' });
       return;
     }
 
-    // Only monitor the specific channel
-    if (message.channel !== CONFIG.licenseRequestChannel) {
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { ok: false, error: error.message });
       return;
     }
 
-    const text = message.text || '';
-
-    // Check if this is a license request message
-    if (!text.includes('New ChiliPiper License Request Submitted!')) {
+    if (!isPlainObject(body)) {
+      sendJson(res, 400, { ok: false, error: 'Request body must be a JSON object' });
       return;
     }
 
-    logger.info('ð New ChiliPiper License Request detected!');
+    // Optional "channel" picks the intake channel; defaults to the first configured one
+    const channel = body.channel ? CHANNELS.get(body.channel) : getChannelSettings(null);
+    if (!channel) {
+      sendJson(res, 400, { ok: false, error: 'unknown_channel' });
+      return;
+    }
 
-    // Add eyes emoji to show we're processing
-    try {
-      await client.reactions.add({
-        channel: message.channel,
-        timestamp: message.ts,
-        name: 'eyes',
+    const request = parseWebhookRequest(body);
+    const missingFields = getMissingRequiredFields(request);
+    if (missingFields.length > 0) {
+      sendJson(res, 400, {
+        ok: false,
+        error: 'invalid_request',
+        errors: Object.fromEntries(missingFields.map(field => [field, request.errors[field]])),
       });
-    } catch (e) {
-      // Reaction might already exist
+      return;
     }
 
-    // Extract customer admin email
-    const customerEmail = extractCustomerAdminEmail(text);
-    const customerName = extractCustomerName(text);
-
-    if (!customerEmail) {
-      logger.warn('â ï¸ Could not extract customer admin email from message');
-      await postThreadReply(client, message,
-        'â ï¸ Could not extract customer admin email from this request. Please process manually.');
+    const requestId = body.request_id || req.headers['idempotency-key'] || null;
+    if (requestId !== null && typeof requestId !== 'string' && typeof requestId !== 'number') {
+      sendJson(res, 400, { ok: false, error: 'request_id must be a string' });
+      return;
+    }
+    const idempotencyKey = requestId ? `webhook:${requestId}` : null;
+    if (idempotencyKey && (processedRequests[idempotencyKey] || inFlightRequests.has(idempotencyKey))) {
+      const previous = processedRequests[idempotencyKey] || {};
+      console.log(`♻️ Webhook request ${requestId} was already received, skipping`);
+      sendJson(res, 200, { ok: true, duplicate: true, requestId, channel: previous.channel || null, ts: previous.ts || null });
       return;
     }
 
-    logger.info(`ð§ Customer Admin Email: ${customerEmail}`);
-    logger.info(`ð¢ Customer Name: ${customerName}`);
+    if (idempotencyKey) {
+      inFlightRequests.add(idempotencyKey);
+    }
+    sendJson(res, 202, { ok: true, requestId });
 
-    // Ensure Salesforce connection
-    if (!sfConnection) {
-      const connected = await initSalesforce();
-      if (!connected) {
-        await postThreadReply(client, message,
-          '❌ Could not connect to Salesforce. Please process manually.');
-        return;
+    try {
+      await processWebhookRequest(channel, request, idempotencyKey);
+    } finally {
+      if (idempotencyKey) {
+        inFlightRequests.delete(idempotencyKey);
       }
     }
+  } catch (error) {
+    console.error('❌ Error processing webhook license request:', error.message);
+    if (!res.headersSent) {
+      sendJson(res, 500, { ok: false, error: error.message });
+    }
+  }
+}
 
-    // Search for contact in Salesforce
-    let contact = await findContactByEmail(customerEmail);
-    let contactCreated = false;
-
-    if (!contact) {
-      logger.warn(`â ï¸ Contact not found in Salesforce: ${customerEmail}`);
+/**
+ * Post an accepted webhook request to its intake channel and process it in the thread
+ * @param {string|null} idempotencyKey - Remembered in processed requests once the message is posted
+ */
+async function processWebhookRequest(channel, request, idempotencyKey) {
+  const text = formatRequestMessage(request);
+  const posted = await app.client.chat.postMessage({
+    channel: channel.id,
+    text,
+    unfurl_links: false,
+  });
+
+  console.log(`📨 Webhook license request posted to ${posted.channel} (${posted.ts})`);
+
+  const message = { channel: posted.channel, ts: posted.ts, text };
+  if (idempotencyKey) {
+    processedRequests[idempotencyKey] = { channel: posted.channel, ts: posted.ts, processedAt: new Date().toISOString() };
+    saveProcessedRequests();
+  }
 
-      // Try to find the account by domain first (e.g., amtechsoftware.com from jtipton@amtechsoftware.com)
-      logger.info(`ð Searching for account by email domain...`);
-      let account = await findAccountByDomain(customerEmail);
+  await processLicenseRequest({
+    message,
+    client: app.client,
+    logger: app.logger,
+    trigger: 'webhook',
+    request,
+  });
+}
 
-      // Fallback to company name search if domain search fails
-      if (!account && customerName) {
-        logger.info(`ð Domain search failed, trying company name: ${customerName}`);
-        account = await findAccountByName(customerName);
-      }
+/**
+ * Post a reply in the message thread
+ */
+async function postThreadReply(client, message, text) {
+  try {
+    await client.chat.postMessage({
+      channel: message.channel,
+      thread_ts: message.ts,
+      text: text,
+      unfurl_links: false,
+    });
+  } catch (error) {
+    console.error('❌ Error posting thread reply:', error.message);
+  }
+}
 
-      if (account) {
-        logger.info(`✅ Found account: ${account.Name} (${account.Id})`);
-
-        // Try to find existing contact on this account (might exist with slightly different email search)
-        const existingContact = await findContactByEmailAndAccount(customerEmail, account.Id);
-        if (existingContact) {
-          logger.info(`✅ Found existing contact on account: ${existingContact.Name}`);
-          contact = existingContact;
-        } else {
-          // Extract customer admin name
-          const adminName = extractCustomerAdminName(text);
-
-          if (adminName) {
-            logger.info(`ð¤ Creating contact: ${adminName.firstName} ${adminName.lastName}`);
-
-            contact = await createContact(
-              adminName.firstName,
-              adminName.lastName,
-              customerEmail,
-              account.Id
-            );
-
-            if (contact) {
-              contactCreated = true;
-              logger.info(`✅ Contact created successfully`);
-            }
-          } else {
-            logger.warn('â ï¸ Could not extract customer admin name from message');
-            await postThreadReply(client, message,
-              `â ï¸ Contact not found for: \`${customerEmail}\`\n` +
-              `Found account: *${account.Name}*\n` +
-              `Could not extract admin name to create contact.\n\n` +
-              `Please create the contact manually.`);
-            return;
-          }
-        }
-      } else {
-        const emailDomain = customerEmail.split('@')[1];
-        logger.warn(`â ï¸ Account not found by domain (${emailDomain}) or name (${customerName})`);
-        await postThreadReply(client, message,
-          `â ï¸ Contact not found in Salesforce for email: \`${customerEmail}\`\n` +
-          `Account not found by domain: *${emailDomain}*\n` +
-          `Account not found by name: *${customerName || 'Unknown'}*\n\n` +
-          `Please create the account, contact, and opportunity manually.`);
-        return;
-      }
+/**
+ * Audit log entries that finished before `until`
+ */
+function readAuditEntries(until) {
+  if (!fs.existsSync(CONFIG.auditLogFile)) {
+    return [];
+  }
 
-      if (!contact) {
-        await postThreadReply(client, message,
-          `â ï¸ Contact not found and could not be created for: \`${customerEmail}\`\n` +
-          `Customer Name: ${customerName || 'Unknown'}\n\n` +
-          `Please create the contact and opportunity manually.`);
-        return;
+  const entries = [];
+  for (const line of fs.readFileSync(CONFIG.auditLogFile, 'utf8').split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      const entry = JSON.parse(line);
+      const finishedAt = Date.parse(entry.finishedAt);
+      if (finishedAt < until.getTime()) {
+        entries.push(entry);
       }
+    } catch (error) {
+      console.error('❌ Skipping unreadable audit log line:', error.message);
     }
+  }
+  return entries;
+}
 
-    logger.info(`✅ Found Contact: ${contact.Name} (Account: ${contact.Account?.Name})`);
+/**
+ * Summarise audit entries per request thread. Reprocessing and approvals add entries
+ * to the same thread, so the latest entry decides the outcome; the request fields and
+ * account type come from the latest entry that has them. The counts only cover threads
+ * with entries since `since`; threads still needing manual work are listed whenever
+ * they were last handled.
+ */
+function summarizeAuditEntries(entries, since) {
+  const threads = new Map();
+  for (const entry of entries) {
+    const key = `${entry.channel}:${entry.ts}`;
+    threads.set(key, [...(threads.get(key) || []), entry]);
+  }
 
-    // Get account details
-    const account = contact.Account || await getAccountById(contact.AccountId);
+  const summary = {
+    requests: 0,
+    seats: 0,
+    byOutcome: new Map(),
+    byAccountType: new Map(),
+    byProduct: new Map(),
+    needsManualWork: [],
+  };
+  const count = (map, key, amount = 1) => map.set(key, (map.get(key) || 0) + amount);
+
+  for (const threadEntries of threads.values()) {
+    const latest = threadEntries[threadEntries.length - 1];
+    const withFields = [...threadEntries].reverse().find(entry => entry.fields && entry.fields.items) || latest;
+    const outcome = latest.outcome || 'unknown';
+
+    // Threads still waiting for someone: manual fallbacks, errors and unanswered account choices or approvals
+    if (['manual_fallback', 'error', 'awaiting_review'].includes(OUTCOME_RESULTS[outcome])) {
+      summary.needsManualWork.push({
+        channel: latest.channel,
+        ts: latest.ts,
+        company: (withFields.fields && withFields.fields.company) || null,
+        outcome,
+        finishedAt: latest.finishedAt,
+      });
+    }
 
-    if (!account) {
-      await postThreadReply(client, message,
-        `â ï¸ Could not find account for contact: ${contact.Name}\n` +
-        `Please process manually.`);
-      return;
+    const periodEntries = threadEntries.filter(entry => Date.parse(entry.finishedAt) >= since.getTime());
+    if (periodEntries.length === 0) {
+      continue;
     }
 
-    const accountType = account.Type || 'Unknown';
-    const urls = buildSalesforceUrls(contact, account);
+    const periodLatest = periodEntries[periodEntries.length - 1];
+    const periodFields = [...periodEntries].reverse().find(entry => entry.fields && entry.fields.items) || periodLatest;
+    const withAccountType = [...periodEntries].reverse().find(entry => entry.accountType);
+    const accountType = withAccountType ? withAccountType.accountType : 'Unknown';
+
+    summary.requests++;
+    count(summary.byOutcome, periodLatest.outcome || 'unknown');
+    count(summary.byAccountType, accountType);
+
+    // Defaulted license counts are placeholders, not requested seats
+    const items = periodFields.fields && periodFields.fields.items ? periodFields.fields.items : [];
+    const seatsKnown = !(periodFields.fields && periodFields.fields.defaulted && periodFields.fields.defaulted.quantity);
+    for (const item of items) {
+      const product = getProduct(item.product);
+      const name = product ? product.name : item.product;
+      const productSummary = summary.byProduct.get(name) || { requests: 0, seats: 0 };
+      productSummary.requests++;
+      if (seatsKnown) {
+        productSummary.seats += item.quantity;
+        summary.seats += item.quantity;
+      }
+      summary.byProduct.set(name, productSummary);
+    }
+  }
 
-    // Extract license details from the Zapier message
-    const licenseType = extractLicenseType(text);
-    const licenseCount = extractLicenseCount(text);
-    logger.info(`📋 License Type: ${licenseType}, Count: ${licenseCount}`);
+  return summary;
+}
 
-    logger.info(`🏢 Account Type: ${accountType}`);
+/**
+ * Readable outcome name, e.g. 'account_not_found' -> 'Account not found'
+ */
+function formatOutcome(outcome) {
+  const text = outcome.replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
 
-    // Handle based on account type
-    // Create opportunities for both Prospect and Ex-Customer accounts
-    if (accountType.toLowerCase() === 'prospect' || accountType.toLowerCase() === 'ex-customer') {
-      // Create opportunity for Prospect or Ex-Customer
-      logger.info(`💼 Creating opportunity for ${accountType} account...`);
+/**
+ * Slack link to a request thread (plain timestamp if the permalink can't be fetched)
+ */
+async function getThreadLink(client, channel, ts, label) {
+  try {
+    const result = await client.chat.getPermalink({ channel, message_ts: ts });
+    return `<${result.permalink}|${label}>`;
+  } catch (error) {
+    console.error('❌ Error getting thread permalink:', error.message);
+    return `${label} (<#${channel}> ${ts})`;
+  }
+}
 
-      // For Ex-Customer, check for Gong subscription first
-      let gongSubscription = null;
-      if (accountType.toLowerCase() === 'ex-customer') {
-        gongSubscription = await findActiveGongSubscription(account.Id);
-      }
+// Most threads listed in a digest; the rest are counted
+const DIGEST_MAX_THREADS = 20;
 
-      const opportunity = await createOpportunity(contact, account, customerName);
-
-      if (opportunity) {
-        // Success - add checkmark reaction
-        try {
-          await client.reactions.add({
-            channel: message.channel,
-            timestamp: message.ts,
-            name: 'white_check_mark',
-          });
-        } catch (e) {}
-
-        const productName = licenseType === 'chilical'
-          ? 'ChiliCal Teams License (Monthly)'
-          : 'Handoff License (Monthly)';
-
-        // Build QuoteBuilder URL for easy quote creation
-        const quoteBuilderUrl = `${CONFIG.sfInstanceUrl}/lightning/cmp/Ruby__QuoteBuilder?c__mode=create_quote&c__opportunityId=${opportunity.id}`;
-
-        let replyText = `✅ *Opportunity Created!*\n\n` +
-          `*Account:* <${urls.accountUrl}|${account.Name}>\n` +
-          `*Account Type:* ${accountType}\n` +
-          `*Contact:* <${urls.contactUrl}|${contact.Name}>${contactCreated ? ' _(newly created)_' : ''}\n` +
-          `*Opportunity:* <${opportunity.url}|${opportunity.name}>`;
-
-        if (opportunity.note) {
-          replyText += `\n\n${opportunity.note}`;
-        }
+/**
+ * Format the digest message for a period
+ */
+async function formatDigest(client, summary, { since, until, schedule }) {
+  const day = date => date.toISOString().split('T')[0];
+  const sortByCount = map => [...map.entries()].sort((a, b) => b[1] - a[1]);
+  const title = schedule === 'weekly' ? 'Weekly' : 'Daily';
 
-        // For Ex-Customer, add Gong subscription warning if none found
-        if (accountType.toLowerCase() === 'ex-customer' && !gongSubscription) {
-          replyText += `\n\n⚠️ *No active Gong reseller subscription found*\n`;
-          replyText += `This customer may need a new Gong subscription set up.`;
-        }
+  let text = `📊 *${title} license request digest* (${day(since)} to ${day(until)})\n\n`;
 
-        // Add quote creation instructions
-        replyText += `\n\n📝 *Create Quote:*\n`;
-        replyText += `<${quoteBuilderUrl}|Click here to create quote>\n`;
-        replyText += `• *Product:* ${productName}\n`;
-        replyText += `• *Quantity:* ${licenseCount}`;
+  if (summary.requests === 0) {
+    return text + 'No license requests came in.';
+  }
 
-        // Tag Guilherme for review
-        const reviewMsg = accountType.toLowerCase() === 'ex-customer'
-          ? 'ex-customer opportunity created for review.'
-          : 'new prospect opportunity created for review.';
-        replyText += `\n\n<@${CONFIG.customerTagUser}> - ${reviewMsg}`;
+  text += `*Requests:* ${summary.requests}   *Seats requested:* ${summary.seats}\n\n`;
 
-        await postThreadReply(client, message, replyText);
-      } else {
-        await postThreadReply(client, message,
-          `❌ Failed to create opportunity for ${account.Name}.\n` +
-          `*Account:* <${urls.accountUrl}|${account.Name}>\n` +
-          `*Contact:* <${urls.contactUrl}|${contact.Name}>\n\n` +
-          `Please create the opportunity manually.`);
-      }
+  text += '*By outcome*\n';
+  text += sortByCount(summary.byOutcome).map(([outcome, n]) => `• ${formatOutcome(outcome)}: ${n}`).join('\n');
 
-    } else {
-      // Customer account - don't create opportunity, check for existing Gong subscription
-      logger.info('ℹ️ Customer account - checking for existing Gong subscription');
+  text += '\n\n*By account type*\n';
+  text += sortByCount(summary.byAccountType).map(([type, n]) => `• ${type}: ${n}`).join('\n');
 
-      // Check if they have an active Gong subscription
-      const gongSubscription = await findActiveGongSubscription(account.Id);
+  if (summary.byProduct.size > 0) {
+    text += '\n\n*By product*\n';
+    text += [...summary.byProduct.entries()]
+      .sort((a, b) => b[1].requests - a[1].requests)
+      .map(([name, product]) => `• ${name}: ${product.requests} request${product.requests === 1 ? '' : 's'}, ${product.seats} seats`)
+      .join('\n');
+  }
 
-      // Add info reaction
-      try {
-        await client.reactions.add({
-          channel: message.channel,
-          timestamp: message.ts,
-          name: 'information_source',
-        });
-      } catch (e) {}
+  if (summary.needsManualWork.length === 0) {
+    return text + '\n\n✅ Nothing is waiting for manual processing.';
+  }
 
-      let replyText = `ℹ️ *Existing Customer Account*\n\n` +
-        `*Account:* <${urls.accountUrl}|${account.Name}>\n` +
-        `*Account Type:* ${accountType}\n` +
-        `*Contact:* <${urls.contactUrl}|${contact.Name}>${contactCreated ? ' _(newly created)_' : ''}\n\n`;
+  text += `\n\n⚠️ *Still marked for manual processing (${summary.needsManualWork.length})*\n`;
+  const lines = [];
+  for (const thread of summary.needsManualWork.slice(0, DIGEST_MAX_THREADS)) {
+    const link = await getThreadLink(client, thread.channel, thread.ts, thread.company || 'Unknown customer');
+    lines.push(`• ${link} - ${formatOutcome(thread.outcome)} (${day(new Date(thread.finishedAt))})`);
+  }
+  if (summary.needsManualWork.length > DIGEST_MAX_THREADS) {
+    lines.push(`…and ${summary.needsManualWork.length - DIGEST_MAX_THREADS} more`);
+  }
 
-      if (gongSubscription) {
-        // Has existing Gong subscription - provide CLM instructions
-        replyText += `✅ *Has Active Gong Subscription:* ${gongSubscription.Name || 'Yes'}\n`;
-        if (gongSubscription.Ruby__Quantity__c) {
-          replyText += `*Current Quantity:* ${gongSubscription.Ruby__Quantity__c}\n`;
-        }
-        replyText += `\n📋 *To add licenses:*\n`;
-        replyText += `1. Go to Customer Lifecycle Manager\n`;
-        replyText += `2. Update quantity on the subscription\n`;
-        replyText += `3. Checkout → Activate the order → Activate the order → Carry on\n`;
-      } else {
-        // No Gong subscription - they need to set one up
-        replyText += `⚠️ *No active Gong reseller subscription found*\n\n`;
-        replyText += `This customer may need a new Gong subscription set up.`;
-      }
+  return text + lines.join('\n');
+}
 
-      replyText += `\n\n<@${CONFIG.customerTagUser}> - please review this license request.`;
+/**
+ * Post the digest for the period ending at `until` to the digest channel
+ */
+async function postDigest(client, { schedule = CONFIG.digestSchedule, until = new Date() } = {}) {
+  const days = schedule === 'weekly' ? 7 : 1;
+  const since = new Date(until.getTime() - days * 24 * 60 * 60 * 1000);
 
-      await postThreadReply(client, message, replyText);
-    }
+  try {
+    const summary = summarizeAuditEntries(readAuditEntries(until), since);
+    const text = await formatDigest(client, summary, { since, until, schedule });
 
-  } catch (error) {
-    logger.error('Error processing license request:', error);
+    await client.chat.postMessage({
+      channel: CONFIG.digestChannel || getChannelSettings(null).id,
+      text,
+      unfurl_links: false,
+    });
 
-    try {
-      await client.reactions.add({
-        channel: message.channel,
-        timestamp: message.ts,
-        name: 'x',
-      });
-    } catch (e) {}
+    console.log(`📊 Posted ${schedule} digest: ${summary.requests} requests, ${summary.needsManualWork.length} need manual work`);
+    return summary;
+  } catch (error) {
+    console.error('❌ Error posting digest:', error.message);
+    return null;
   }
-});
+}
 
 /**
- * App mention handler - allows manual processing of messages
- * Usage: @Gong License Bot in a thread to reprocess that message
+ * Next digest time after `from`: CONFIG.digestHourUtc every day, or on
+ * CONFIG.digestWeekday (0 = Sunday) for weekly digests
  */
-app.event('app_mention', async ({ event, client, logger }) => {
-  try {
-    // Check if this mention is in a thread
-    if (!event.thread_ts) {
-      await client.chat.postMessage({
-        channel: event.channel,
-        thread_ts: event.ts,
-        text: 'ð To process a license request, mention me in the thread of a Zapier message.',
-      });
-      return;
-    }
-
-    // Get the parent message of this thread
-    const result = await client.conversations.history({
-      channel: event.channel,
-      latest: event.thread_ts,
-      inclusive: true,
-      limit: 1,
-    });
+function getNextDigestTime(from = new Date()) {
+  const next = new Date(from);
+  next.setUTCHours(CONFIG.digestHourUtc, 0, 0, 0);
 
-    if (!result.messages || result.messages.length === 0) {
-      await client.chat.postMessage({
-        channel: event.channel,
-        thread_ts: event.thread_ts,
-        text: '❌ Could not find the parent message.',
-      });
-      return;
-    }
+  while (next <= from || (CONFIG.digestSchedule === 'weekly' && next.getUTCDay() !== CONFIG.digestWeekday)) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  }
+  return next;
+}
 
-    const parentMessage = result.messages[0];
+// End of the last digest period posted, so a timer that fires early can't post it twice
+let lastDigestUntil = null;
 
-    // Process the parent message as if it were a new license request
-    logger.info('ð Manual processing triggered via @mention');
+/**
+ * Post the digest on CONFIG.digestSchedule (no-op when the digest is off)
+ */
+function scheduleDigest(client) {
+  if (!CONFIG.digestSchedule) {
+    return;
+  }
 
-    // Simulate the message object
-    const simulatedMessage = {
-      ...parentMessage,
-      channel: event.channel,
-    };
+  const now = new Date();
+  const next = getNextDigestTime(lastDigestUntil && lastDigestUntil > now ? lastDigestUntil : now);
+  console.log(`📊 Next ${CONFIG.digestSchedule} digest: ${next.toISOString()}`);
 
-    // Extract email from the message
-    const customerEmail = extractCustomerAdminEmail(parentMessage.text);
-    if (!customerEmail) {
-      await client.chat.postMessage({
-        channel: event.channel,
-        thread_ts: event.thread_ts,
-        text: '❌ Could not find a customer email in this message.',
-      });
+  setTimeout(async () => {
+    if (lastDigestUntil && lastDigestUntil >= next) {
+      console.log(`📊 Digest for the period ending ${next.toISOString()} was already posted`);
       return;
     }
+    lastDigestUntil = next;
 
-    await client.chat.postMessage({
-      channel: event.channel,
-      thread_ts: event.thread_ts,
-      text: `🔄 Processing license request for: ${customerEmail}`,
-    });
+    await postDigest(client, { until: next });
+    scheduleDigest(client);
+  }, next.getTime() - Date.now());
+}
 
-    // Check Salesforce connection
-    if (!sfConnection) {
-      const connected = await initSalesforce();
-      if (!connected) {
-        await client.chat.postMessage({
-          channel: event.channel,
-          thread_ts: event.thread_ts,
-          text: '❌ Could not connect to Salesforce. Please try again later.',
-        });
-        return;
-      }
-    }
+// Requests waiting for the reviewer's quote or subscription change, keyed by request (channel:ts)
+const followUps = loadFollowUps();
 
-    // Find the contact
-    let contact = await findContactByEmail(customerEmail);
-    let contactCreated = false;
-    const customerName = extractCustomerName(parentMessage.text);
+/**
+ * Load the follow-ups map from disk
+ */
+function loadFollowUps() {
+  try {
+    if (fs.existsSync(CONFIG.followUpsFile)) {
+      return JSON.parse(fs.readFileSync(CONFIG.followUpsFile, 'utf8'));
+    }
+  } catch (error) {
+    console.error('❌ Error loading follow-ups:', error.message);
+  }
+  return {};
+}
 
-    if (!contact) {
-      // Try to find account and create contact
-      logger.info(`â ï¸ Contact not found, searching for account by domain...`);
+/**
+ * Write the follow-ups map to disk
+ */
+function saveFollowUps() {
+  try {
+    fs.mkdirSync(path.dirname(CONFIG.followUpsFile), { recursive: true });
+    fs.writeFileSync(CONFIG.followUpsFile, JSON.stringify(followUps, null, 2));
+  } catch (error) {
+    console.error('❌ Error saving follow-ups:', error.message);
+  }
+}
 
-      let account = await findAccountByDomain(customerEmail);
-      if (!account && customerName) {
-        account = await findAccountByName(customerName);
-      }
+/**
+ * Watch a request for the reviewer's next step after they were tagged
+ * @param {Object} waitingFor - { opportunityId } for a quote, or { subscriptions: [{ id, quantity }] }
+ *   for a change in the subscription quantity
+ */
+function trackFollowUp(message, reviewers, waitingFor) {
+  if (CONFIG.followUpReminderHours <= 0) {
+    return;
+  }
 
-      if (account) {
-        // First try to find existing contact on this account
-        const existingContact = await findContactByEmailAndAccount(customerEmail, account.Id);
-        if (existingContact) {
-          logger.info(`✅ Found existing contact on account: ${existingContact.Name}`);
-          contact = existingContact;
-        } else {
-          // Try to create new contact
-          const adminName = extractCustomerAdminName(parentMessage.text);
-          if (adminName) {
-            contact = await createContact(
-              adminName.firstName,
-              adminName.lastName,
-              customerEmail,
-              account.Id
-            );
-            if (contact) {
-              contactCreated = true;
-              logger.info(`✅ Contact created: ${contact.Name}`);
-            }
-          }
-        }
-      }
+  followUps[requestKey(message)] = {
+    channel: message.channel,
+    ts: message.ts,
+    reviewerMentions: reviewers.mentions,
+    ...waitingFor,
+    createdAt: new Date().toISOString(),
+    remindedAt: null,
+  };
+  saveFollowUps();
+}
 
-      if (!contact) {
-        await client.chat.postMessage({
-          channel: event.channel,
-          thread_ts: event.thread_ts,
-          text: `❌ Contact not found for: ${customerEmail}\nCustomer Name: ${customerName || 'Unknown'}\nCould not auto-create contact. Please create manually.`,
-        });
-        return;
-      }
-    }
+/**
+ * Whether the reviewer has acted: the opportunity has a quote, or a subscription's quantity changed
+ */
+async function hasFollowUpProgress(followUp) {
+  if (followUp.opportunityId) {
+    const result = await sfQuery(
+      soql`SELECT Id FROM Quote WHERE OpportunityId = ${soqlId(followUp.opportunityId)} LIMIT 1`
+    );
+    return result.records.length > 0;
+  }
 
-    // Get account
-    const account = contact.Account || await getAccountById(contact.AccountId);
-    if (!account) {
-      await client.chat.postMessage({
-        channel: event.channel,
-        thread_ts: event.thread_ts,
-        text: `❌ Could not find account for contact: ${contact.Name}`,
-      });
-      return;
+  for (const subscription of followUp.subscriptions || []) {
+    const result = await sfQuery(
+      soql`SELECT Id, Ruby__Quantity__c FROM Ruby__Subscription__c WHERE Id = ${soqlId(subscription.id)} LIMIT 1`
+    );
+    if (result.records.length > 0 && (Number(result.records[0].Ruby__Quantity__c) || 0) !== subscription.quantity) {
+      return true;
     }
+  }
+  return false;
+}
 
-    const accountType = account.Type || 'Unknown';
-    const urls = buildSalesforceUrls(contact, account);
-
-    // Extract license details from the message
-    const licenseType = extractLicenseType(parentMessage.text);
-    const licenseCount = extractLicenseCount(parentMessage.text);
-    logger.info(`📋 License Type: ${licenseType}, Count: ${licenseCount}`);
+/**
+ * What a follow-up is still waiting for, for the reminder text
+ */
+function describeFollowUp(followUp) {
+  return followUp.opportunityId
+    ? `no quote has been created on <${CONFIG.sfInstanceUrl}/lightning/r/Opportunity/${followUp.opportunityId}/view|the opportunity>`
+    : 'the Gong subscription quantity has not changed';
+}
 
-    // Process based on account type
-    // Create opportunities for both Prospect and Ex-Customer accounts
-    if (accountType.toLowerCase() === 'prospect' || accountType.toLowerCase() === 'ex-customer') {
-      // Prospect or Ex-Customer - create opportunity
+/**
+ * Remind the reviewers about requests with no progress after CONFIG.followUpReminderHours,
+ * then tag the channel's backup reviewers after CONFIG.followUpEscalationHours more
+ * @param {number} [now] - Current time in ms (tests pass a later time)
+ */
+async function checkFollowUps(client, now = Date.now()) {
+  const hour = 60 * 60 * 1000;
+  let changed = false;
+
+  for (const [key, followUp] of Object.entries(followUps)) {
+    const dueAt = followUp.remindedAt
+      ? Date.parse(followUp.remindedAt) + CONFIG.followUpEscalationHours * hour
+      : Date.parse(followUp.createdAt) + CONFIG.followUpReminderHours * hour;
+    if (now < dueAt) {
+      continue;
+    }
 
-      // For Ex-Customer, check for Gong subscription first
-      let gongSubscription = null;
-      if (accountType.toLowerCase() === 'ex-customer') {
-        gongSubscription = await findActiveGongSubscription(account.Id);
+    try {
+      if (await hasFollowUpProgress(followUp)) {
+        console.log(`✅ Reviewer followed up on ${key}, no reminder needed`);
+        delete followUps[key];
+        changed = true;
+        continue;
       }
+    } catch (error) {
+      // Try again on the next check
+      console.error(`❌ Error checking follow-up for ${key}:`, error.message);
+      continue;
+    }
 
-      const opportunity = await createOpportunity(contact, account);
-
-      if (opportunity) {
-        // Success reaction
-        try {
-          await client.reactions.add({
-            channel: event.channel,
-            timestamp: event.thread_ts,
-            name: 'white_check_mark',
-          });
-        } catch (e) {}
-
-        const productName = licenseType === 'chilical'
-          ? 'ChiliCal Teams License (Monthly)'
-          : 'Handoff License (Monthly)';
-
-        // Build QuoteBuilder URL for easy quote creation
-        const quoteBuilderUrl = `${CONFIG.sfInstanceUrl}/lightning/cmp/Ruby__QuoteBuilder?c__mode=create_quote&c__opportunityId=${opportunity.id}`;
-
-        let replyText = `✅ *Opportunity Created!*\n\n` +
-          `*Account:* <${urls.accountUrl}|${account.Name}>\n` +
-          `*Account Type:* ${accountType}\n` +
-          `*Contact:* <${urls.contactUrl}|${contact.Name}>${contactCreated ? ' _(newly created)_' : ''}\n` +
-          `*Opportunity:* <${opportunity.url}|${opportunity.name}>`;
-
-        if (opportunity.note) {
-          replyText += `\n\n${opportunity.note}`;
-        }
-
-        // For Ex-Customer, add Gong subscription warning if none found
-        if (accountType.toLowerCase() === 'ex-customer' && !gongSubscription) {
-          replyText += `\n\n⚠️ *No active Gong reseller subscription found*\n`;
-          replyText += `This customer may need a new Gong subscription set up.`;
-        }
+    const message = { channel: followUp.channel, ts: followUp.ts };
+    const hoursSince = Math.round((now - Date.parse(followUp.createdAt)) / hour);
 
-        // Add quote creation instructions
-        replyText += `\n\n📝 *Create Quote:*\n`;
-        replyText += `<${quoteBuilderUrl}|Click here to create quote>\n`;
-        replyText += `• *Product:* ${productName}\n`;
-        replyText += `• *Quantity:* ${licenseCount}`;
-
-        // Tag Guilherme for review
-        const reviewMsg = accountType.toLowerCase() === 'ex-customer'
-          ? 'ex-customer opportunity created for review.'
-          : 'new prospect opportunity created for review.';
-        replyText += `\n\n<@${CONFIG.customerTagUser}> - ${reviewMsg}`;
-
-        await client.chat.postMessage({
-          channel: event.channel,
-          thread_ts: event.thread_ts,
-          text: replyText,
-        });
-      } else {
-        await client.chat.postMessage({
-          channel: event.channel,
-          thread_ts: event.thread_ts,
-          text: `❌ Failed to create opportunity for ${account.Name}.\n` +
-            `*Account:* <${urls.accountUrl}|${account.Name}>\n` +
-            `*Contact:* <${urls.contactUrl}|${contact.Name}>\n\n` +
-            `Please create the opportunity manually.`,
-        });
-      }
+    if (!followUp.remindedAt) {
+      console.log(`⏰ Reminding reviewers about ${key}`);
+      await postThreadReply(client, message,
+        `⏰ *Reminder:* ${describeFollowUp(followUp)} ${hoursSince} hours after this request was processed.\n\n` +
+        `${followUp.reviewerMentions} - please follow up on this request.`);
+      followUp.remindedAt = new Date(now).toISOString();
     } else {
-      // Customer account - don't create opportunity
-      try {
-        await client.reactions.add({
-          channel: event.channel,
-          timestamp: event.thread_ts,
-          name: 'information_source',
-        });
-      } catch (e) {}
-
-      // Check for Gong subscription
-      const gongSubscription = await findActiveGongSubscription(account.Id);
-
-      let replyText = `ℹ️ *Existing Customer Account*\n\n` +
-        `*Account:* <${urls.accountUrl}|${account.Name}>\n` +
-        `*Account Type:* ${accountType}\n` +
-        `*Contact:* <${urls.contactUrl}|${contact.Name}>${contactCreated ? ' _(newly created)_' : ''}\n\n`;
-
-      if (gongSubscription) {
-        replyText += `✅ *Has Active Gong Subscription:* ${gongSubscription.Name || 'Yes'}\n`;
-        if (gongSubscription.Ruby__Quantity__c) {
-          replyText += `*Current Quantity:* ${gongSubscription.Ruby__Quantity__c}\n`;
-        }
-        replyText += `\n📋 *To add licenses:*\n`;
-        replyText += `1. Go to Customer Lifecycle Manager\n`;
-        replyText += `2. Update quantity on the subscription\n`;
-        replyText += `3. Checkout → Activate the order → Activate the order → Carry on\n`;
+      const backupReviewers = getChannelSettings(followUp.channel).backupReviewers;
+      if (backupReviewers.length > 0) {
+        console.log(`🚨 Escalating ${key} to backup reviewers`);
+        await postThreadReply(client, message,
+          `🚨 *Escalation:* ${describeFollowUp(followUp)} ${hoursSince} hours after this request was processed, ` +
+          `and the reminder went unanswered.\n\n` +
+          `${backupReviewers.map(id => `<@${id}>`).join(' ')} - could you take this over from ${followUp.reviewerMentions}?`);
       } else {
-        replyText += `⚠️ *No active Gong reseller subscription found*\n\n`;
-        replyText += `This customer may need a new Gong subscription set up.`;
+        console.log(`ℹ️ No backup reviewers for ${followUp.channel}, no longer following up on ${key}`);
       }
-
-      replyText += `\n\n<@${CONFIG.customerTagUser}> - please review this license request.`;
-
-      await client.chat.postMessage({
-        channel: event.channel,
-        thread_ts: event.thread_ts,
-        text: replyText,
-      });
+      delete followUps[key];
     }
+    changed = true;
+  }
 
-  } catch (error) {
-    logger.error('Error processing app_mention:', error);
-    try {
-      await client.chat.postMessage({
-        channel: event.channel,
-        thread_ts: event.thread_ts || event.ts,
-        text: `❌ Error processing request: ${error.message}`,
-      });
-    } catch (e) {}
+  if (changed) {
+    saveFollowUps();
   }
-});
+}
 
 /**
- * Post a reply in the message thread
+ * Check for stalled requests every CONFIG.followUpCheckMinutes (no-op when reminders are off)
  */
-async function postThreadReply(client, message, text) {
-  try {
-    await client.chat.postMessage({
-      channel: message.channel,
-      thread_ts: message.ts,
-      text: text,
-      unfurl_links: false,
-    });
-  } catch (error) {
-    console.error('❌ Error posting thread reply:', error.message);
+function scheduleFollowUpChecks(client) {
+  if (CONFIG.followUpReminderHours <= 0) {
+    return;
   }
+
+  console.log(`⏰ Checking for stalled requests every ${CONFIG.followUpCheckMinutes} minutes`);
+
+  // The next check is only scheduled once this one finishes, so slow checks never overlap
+  const scheduleNextCheck = () => {
+    setTimeout(async () => {
+      try {
+        await checkFollowUps(client);
+      } catch (error) {
+        console.error('❌ Error checking follow-ups:', error.message);
+      }
+      scheduleNextCheck();
+    }, CONFIG.followUpCheckMinutes * 60 * 1000);
+  };
+  scheduleNextCheck();
 }
 
-// Start the app
-(async () => {
-  // Initialize Salesforce connection
-  await initSalesforce();
+// Start the app (tests require this file and drive the handlers directly)
+if (require.main === module) {
+  (async () => {
+    // Initialize Salesforce connection
+    await initSalesforce();
 
-  const port = process.env.PORT || 3000;
-  await app.start(port);
+    // Describe the objects we write to and compare them with what the bot expects
+    const schemaDrift = await checkSalesforceSchema();
 
-  console.log('');
-  console.log('â¡ï¸ Gong License Bot is running!');
-  console.log(`ð¡ Monitoring channel: ${CONFIG.licenseRequestChannel}`);
-  console.log(`ð¤ Customer tag user: ${CONFIG.customerTagUser}`);
-  console.log(`ð Salesforce instance: ${CONFIG.sfInstanceUrl}`);
-  console.log('');
-})();
+    await app.init();
+
+    await app.start(CONFIG.port);
+
+    console.log('');
+    console.log('â¡ï¸ Gong License Bot is running!');
+    for (const channel of CHANNELS.values()) {
+      console.log(`ð¡ Monitoring channel: ${channel.id} (${channel.name})`);
+      console.log(`ð¤ Reviewers: ${channel.reviewers.join(', ')}`);
+    }
+    console.log(`ð Salesforce instance: ${CONFIG.sfInstanceUrl}`);
+    console.log('');
+
+    await postSchemaDriftReport(app.client, schemaDrift);
+
+    scheduleDigest(app.client);
+    scheduleFollowUpChecks(app.client);
+  })();
+}
+
+module.exports = {
+  app,
+  CONFIG,
+  handleMessage,
+  handleAppMention,
+  handleApprovalCreate,
+  handleApprovalEdit,
+  handleApprovalEditSubmission,
+  handleApprovalSkip,
+  handleAccountChoice,
+  handleAccountNone,
+  parseLicenseRequest,
+  describeLookup,
+  soql,
+  soqlContains,
+  soqlId,
+  normalizeDomain,
+  checkSalesforceSchema,
+  postSchemaDriftReport,
+  getHealthStatus,
+  formatPrometheusMetrics,
+  postDigest,
+  getNextDigestTime,
+  scheduleDigest,
+  checkFollowUps,
+  handleLicenseWebhook,
+};
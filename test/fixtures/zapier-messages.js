@@ -0,0 +1,135 @@
+// License request messages as the Zapier integration posts them to the license channel
+
+/**
+ * Plain text Zapier message (Slack formatting included)
+ */
+function zapierTextMessage({
+  company,
+  adminName,
+  email,
+  licenseType = 'Handoff',
+  licenseCount,
+  header = 'New ChiliPiper License Request Submitted!',
+}) {
+  return {
+    type: 'message',
+    subtype: 'bot_message',
+    bot_id: 'B0ZAPIER01',
+    username: 'Zapier',
+    text: `:rotating_light: *${header}*\n\n` +
+      `*Customer Name:* ${company}\n` +
+      `*Customer Admin:* ${adminName} <mailto:${email}|${email}>\n` +
+      `*License Type:* ${licenseType}\n` +
+      `*License Count:* ${licenseCount}\n` +
+      '*Requested By:* Gong Partner Team',
+  };
+}
+
+/**
+ * Block Kit version of the same message (newer Zap template)
+ */
+function zapierBlocksMessage({ company, adminName, email, licenseType = 'Handoff', licenseCount }) {
+  return {
+    type: 'message',
+    subtype: 'bot_message',
+    bot_id: 'B0ZAPIER01',
+    username: 'Zapier',
+    text: 'New ChiliPiper License Request Submitted!',
+    blocks: [
+      {
+        type: 'section',
+        fields: [
+          { type: 'mrkdwn', text: `*Customer Name*\n${company}` },
+          { type: 'mrkdwn', text: `*Customer Admin*\n${adminName} <mailto:${email}|${email}>` },
+          { type: 'mrkdwn', text: `*License Type*\n${licenseType}` },
+          { type: 'mrkdwn', text: `*License Count*\n${licenseCount}` },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Legacy attachment version (older Zaps): the header is the pretext and each value an attachment field
+ */
+function zapierAttachmentMessage({ company, adminName, email, licenseType = 'Handoff', licenseCount }) {
+  const fields = [
+    { title: 'Customer Name', value: company, short: true },
+    { title: 'Customer Admin', value: `${adminName} <mailto:${email}|${email}>`, short: true },
+    { title: 'License Type', value: licenseType, short: true },
+    { title: 'License Count', value: licenseCount, short: true },
+  ];
+
+  return {
+    type: 'message',
+    subtype: 'bot_message',
+    bot_id: 'B0ZAPIER01',
+    username: 'Zapier',
+    text: '',
+    attachments: [
+      {
+        color: '#ff4a00',
+        pretext: ':rotating_light: *New ChiliPiper License Request Submitted!*',
+        fields,
+        fallback: `New ChiliPiper License Request Submitted! ${fields.map(field => `${field.title}: ${field.value}`).join(', ')}`,
+      },
+    ],
+  };
+}
+
+module.exports = {
+  // New admin at a Prospect account - no contact yet, account matched by email domain
+  prospect: zapierTextMessage({
+    company: 'Northwind Traders',
+    adminName: 'Nancy Davolio',
+    email: 'nancy.davolio@northwindtraders.com',
+    licenseType: 'Handoff',
+    licenseCount: '25',
+  }),
+
+  // Former customer coming back - contact already exists on the account
+  exCustomer: zapierBlocksMessage({
+    company: 'Contoso Ltd',
+    adminName: 'Carlos Diaz',
+    email: 'carlos.diaz@contoso.com',
+    licenseType: 'ChiliCal',
+    licenseCount: '10',
+  }),
+
+  // Existing customer asking for more seats
+  customer: zapierTextMessage({
+    company: 'Fabrikam',
+    adminName: 'Fiona Baker',
+    email: 'fiona.baker@fabrikam.com',
+    licenseType: 'Handoff',
+    licenseCount: '40',
+  }),
+
+  // New admin at a Prospect account, posted by a Zap still on legacy attachments
+  legacyProspect: zapierAttachmentMessage({
+    company: 'Northwind Traders',
+    adminName: 'Nancy Davolio',
+    email: 'nancy.davolio@northwindtraders.com',
+    licenseType: 'ChiliCal',
+    licenseCount: '12',
+  }),
+
+  // Same kind of request from the EMEA Zap, which has its own header
+  emeaProspect: zapierTextMessage({
+    company: 'Adventure Works',
+    adminName: 'Anna Weber',
+    email: 'anna.weber@adventure-works.de',
+    licenseType: 'Handoff',
+    licenseCount: '5',
+    header: 'New ChiliPiper EMEA License Request Submitted!',
+  }),
+
+  // Count missing - must not create anything
+  missingCount: zapierTextMessage({
+    company: 'Northwind Traders',
+    adminName: 'Nancy Davolio',
+    email: 'nancy.davolio@northwindtraders.com',
+    licenseType: 'Handoff',
+    licenseCount: 'lots',
+  }),
+};
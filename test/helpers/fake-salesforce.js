@@ -0,0 +1,490 @@
+const http = require('http');
+
+// Key prefixes for the objects the bot reads and writes
+const KEY_PREFIXES = {
+  Account: '001',
+  Contact: '003',
+  Opportunity: '006',
+  Lead: '00Q',
+  Quote: '0Q0',
+  QuoteLineItem: '0QL',
+  Order: '801',
+  OrderItem: '802',
+  Pricebook2: '01s',
+  PricebookEntry: '01u',
+  Product2: '01t',
+  Ruby__Subscription__c: 'a0S',
+  User: '005',
+};
+
+// Lookup fields that can be followed in SELECT (e.g. Account.Name), by relationship name
+const RELATIONSHIPS = {
+  Account: { field: 'AccountId', object: 'Account' },
+  Product2: { field: 'Product2Id', object: 'Product2' },
+  Opportunity: { field: 'OpportunityId', object: 'Opportunity' },
+  Owner: { field: 'OwnerId', object: 'User' },
+};
+
+/**
+ * In-memory Salesforce org served over HTTP: the OAuth token endpoint, the
+ * REST query, create, update and describe calls jsforce makes, and SOAP convertLead.
+ * Records live in `records` keyed by object name; everything the bot writes is also
+ * listed in `writes`.
+ * Objects without a schema from `defineSchema` are not describable (404).
+ */
+class FakeSalesforce {
+  constructor() {
+    this.schemas = {};
+    this.records = {};
+    this.writes = [];
+    this.queries = [];
+    this.faults = [];
+    this.tokenRequests = 0;
+    this.nextId = 1;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * Listen on an ephemeral port
+   * @returns {Promise<string>} Base URL (used as both login and instance URL)
+   */
+  start() {
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Forget all records and calls (between tests)
+   */
+  reset() {
+    this.schemas = {};
+    this.records = {};
+    this.writes = [];
+    this.queries = [];
+    this.faults = [];
+  }
+
+  /**
+   * Fail the next request matching method and path with an API error. With afterCommit
+   * the request is carried out first, like a 5xx or timeout after Salesforce saved the record.
+   */
+  failNext({ method, path, status, errorCode, afterCommit = false }) {
+    this.faults.push({ method, path, status, errorCode, afterCommit });
+  }
+
+  /**
+   * Add a record to the org, filling in the Id and system fields
+   * @returns {Object} The stored record
+   */
+  insert(sobjectType, fields) {
+    const record = {
+      Id: fields.Id || this.generateId(sobjectType),
+      CreatedDate: new Date().toISOString(),
+      ...fields,
+    };
+
+    if ((sobjectType === 'Contact' || sobjectType === 'Lead') && !record.Name) {
+      record.Name = [record.FirstName, record.LastName].filter(Boolean).join(' ');
+    }
+    if (sobjectType === 'Opportunity' && record.IsClosed === undefined) {
+      record.IsClosed = false;
+    }
+
+    (this.records[sobjectType] = this.records[sobjectType] || []).push(record);
+    return record;
+  }
+
+  /**
+   * Make an object describable. Fields are names or { name, type, picklistValues, createable };
+   * picklist values given as strings are active.
+   */
+  defineSchema(sobjectType, fields) {
+    this.schemas[sobjectType] = fields.map(field => {
+      const { name, type = 'string', picklistValues = [], createable = true, updateable = createable } =
+        typeof field === 'string' ? { name: field } : field;
+      return {
+        name,
+        type,
+        createable,
+        updateable,
+        picklistValues: picklistValues.map(value =>
+          (typeof value === 'string' ? { value, label: value, active: true } : value)),
+      };
+    });
+  }
+
+  /**
+   * Records of one type, optionally filtered
+   */
+  find(sobjectType, predicate = () => true) {
+    return (this.records[sobjectType] || []).filter(predicate);
+  }
+
+  /**
+   * Records the bot created, by object name
+   */
+  created(sobjectType) {
+    return this.writes
+      .filter(write => write.action === 'create' && write.sobjectType === sobjectType)
+      .map(write => this.find(sobjectType, record => record.Id === write.id)[0]);
+  }
+
+  generateId(sobjectType) {
+    const prefix = KEY_PREFIXES[sobjectType] || 'a00';
+    return `${prefix}${String(this.nextId++).padStart(12, '0')}AAA`;
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, this.url);
+    const body = await readBody(req);
+
+    const faultIndex = this.faults.findIndex(f => f.method === req.method && f.path.test(url.pathname));
+    if (faultIndex !== -1) {
+      const [fault] = this.faults.splice(faultIndex, 1);
+      if (fault.afterCommit) {
+        await this.route(req, url, body, { writeHead() {}, end() {} });
+      }
+      return sendJson(res, fault.status, [{ errorCode: fault.errorCode, message: `Injected ${fault.errorCode}` }]);
+    }
+
+    return this.route(req, url, body, res);
+  }
+
+  async route(req, url, body, res) {
+    try {
+      if (req.method === 'POST' && url.pathname === '/services/oauth2/token') {
+        this.tokenRequests++;
+        return sendJson(res, 200, {
+          access_token: `fake-token-${this.tokenRequests}`,
+          instance_url: this.url,
+          token_type: 'Bearer',
+        });
+      }
+
+      if (req.method === 'GET' && /^\/services\/data\/v[\d.]+\/query$/.test(url.pathname)) {
+        const soql = url.searchParams.get('q');
+        this.queries.push(soql);
+        const records = this.query(soql);
+        return sendJson(res, 200, { totalSize: records.length, done: true, records });
+      }
+
+      const sobjectMatch = url.pathname.match(/^\/services\/data\/v[\d.]+\/sobjects\/(\w+)(?:\/(\w+))?$/);
+      if (sobjectMatch && req.method === 'GET' && sobjectMatch[2] === 'describe' && this.schemas[sobjectMatch[1]]) {
+        return sendJson(res, 200, { name: sobjectMatch[1], fields: this.schemas[sobjectMatch[1]] });
+      }
+
+      if (sobjectMatch && req.method === 'POST' && !sobjectMatch[2]) {
+        const record = this.insert(sobjectMatch[1], JSON.parse(body));
+        this.writes.push({ action: 'create', sobjectType: sobjectMatch[1], id: record.Id });
+        return sendJson(res, 201, { id: record.Id, success: true, errors: [] });
+      }
+
+      if (sobjectMatch && req.method === 'PATCH' && sobjectMatch[2]) {
+        const [record] = this.find(sobjectMatch[1], r => r.Id === sobjectMatch[2]);
+        if (!record) {
+          return sendJson(res, 404, [{ errorCode: 'NOT_FOUND', message: 'The requested resource does not exist' }]);
+        }
+        Object.assign(record, JSON.parse(body));
+        this.writes.push({ action: 'update', sobjectType: sobjectMatch[1], id: record.Id });
+        res.writeHead(204);
+        return res.end();
+      }
+
+      if (req.method === 'POST' && /^\/services\/Soap\/u\/[\d.]+$/.test(url.pathname) && body.includes('<convertLead>')) {
+        const result = this.convertLead({
+          leadId: xmlValue(body, 'leadId'),
+          accountId: xmlValue(body, 'accountId'),
+          contactId: xmlValue(body, 'contactId'),
+          convertedStatus: xmlValue(body, 'convertedStatus'),
+        });
+        return sendSoap(res, 'convertLeadResponse', result);
+      }
+
+      sendJson(res, 404, [{ errorCode: 'NOT_FOUND', message: `${req.method} ${url.pathname} is not supported by the fake` }]);
+    } catch (error) {
+      sendJson(res, 400, [{ errorCode: 'MALFORMED_QUERY', message: error.message }]);
+    }
+  }
+
+  /**
+   * Convert a Lead like Database.convertLead without an opportunity: into the given
+   * Account/Contact, or into a new Account (named after the Company) and Contact
+   * @returns {Object} LeadConvertResult fields
+   */
+  convertLead({ leadId, accountId, contactId, convertedStatus }) {
+    const [lead] = this.find('Lead', record => record.Id === leadId && !record.IsConverted);
+    if (!lead) {
+      return { success: false, errors: { statusCode: 'INVALID_CROSS_REFERENCE_KEY', message: 'invalid cross reference id' } };
+    }
+
+    if (!accountId) {
+      const account = this.insert('Account', { Name: lead.Company });
+      this.writes.push({ action: 'create', sobjectType: 'Account', id: account.Id });
+      accountId = account.Id;
+    }
+    if (!contactId) {
+      const contact = this.insert('Contact', { FirstName: lead.FirstName, LastName: lead.LastName, Email: lead.Email, AccountId: accountId });
+      this.writes.push({ action: 'create', sobjectType: 'Contact', id: contact.Id });
+      contactId = contact.Id;
+    }
+
+    Object.assign(lead, { IsConverted: true, Status: convertedStatus, ConvertedAccountId: accountId, ConvertedContactId: contactId });
+    this.writes.push({ action: 'convert', sobjectType: 'Lead', id: lead.Id });
+    return { success: true, leadId, accountId, contactId };
+  }
+
+  /**
+   * Run a SOQL query: SELECT fields FROM object [WHERE a AND b ...] [ORDER BY field [ASC|DESC]] [LIMIT n]
+   */
+  query(soql) {
+    const tokens = tokenize(soql);
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const keyword = word => peek() && peek().type === 'word' && peek().value.toUpperCase() === word;
+    const expectKeyword = word => {
+      if (!keyword(word)) {
+        throw new Error(`Expected ${word} in: ${soql}`);
+      }
+      pos++;
+    };
+
+    expectKeyword('SELECT');
+    const fields = [];
+    do {
+      fields.push(next().value);
+    } while (peek() && peek().type === ',' && next());
+
+    expectKeyword('FROM');
+    const sobjectType = next().value;
+
+    const conditions = [];
+    if (keyword('WHERE')) {
+      pos++;
+      do {
+        const field = next().value;
+        const operator = next().value.toUpperCase();
+        const value = next();
+        conditions.push({ field, operator, value });
+      } while (keyword('AND') && next());
+    }
+
+    let orderBy = null;
+    if (keyword('ORDER')) {
+      pos++;
+      expectKeyword('BY');
+      orderBy = { field: next().value, descending: false };
+      if (keyword('DESC') || keyword('ASC')) {
+        orderBy.descending = next().value.toUpperCase() === 'DESC';
+      }
+    }
+
+    let limit = Infinity;
+    if (keyword('LIMIT')) {
+      pos++;
+      limit = Number(next().value);
+    }
+
+    if (pos < tokens.length) {
+      throw new Error(`Unsupported SOQL near "${peek().value}": ${soql}`);
+    }
+
+    let records = this.find(sobjectType, record =>
+      conditions.every(condition => matches(this.getField(sobjectType, record, condition.field), condition)));
+
+    if (orderBy) {
+      records = [...records].sort((a, b) => {
+        const left = this.getField(sobjectType, a, orderBy.field);
+        const right = this.getField(sobjectType, b, orderBy.field);
+        const order = left < right ? -1 : left > right ? 1 : 0;
+        return orderBy.descending ? -order : order;
+      });
+    }
+
+    return records.slice(0, limit).map(record => this.project(sobjectType, record, fields));
+  }
+
+  /**
+   * Read a field, following one relationship (Account.Name)
+   */
+  getField(sobjectType, record, field) {
+    const [first, second] = field.split('.');
+    if (!second) {
+      return record[first] === undefined ? null : record[first];
+    }
+
+    const related = this.getRelated(record, first);
+    return related && related[second] !== undefined ? related[second] : null;
+  }
+
+  getRelated(record, relationshipName) {
+    const relationship = RELATIONSHIPS[relationshipName];
+    if (!relationship || !record[relationship.field]) {
+      return null;
+    }
+    return this.find(relationship.object, r => r.Id === record[relationship.field])[0] || null;
+  }
+
+  /**
+   * Shape a record like the REST API does: selected fields, with related records nested
+   */
+  project(sobjectType, record, fields) {
+    const result = { attributes: { type: sobjectType, url: `/services/data/v42.0/sobjects/${sobjectType}/${record.Id}` } };
+
+    for (const field of fields) {
+      const [first, second] = field.split('.');
+      if (!second) {
+        result[first] = record[first] === undefined ? null : record[first];
+        continue;
+      }
+
+      const related = this.getRelated(record, first);
+      if (!related) {
+        result[first] = null;
+      } else {
+        const relationship = RELATIONSHIPS[first];
+        result[first] = result[first] || { attributes: { type: relationship.object } };
+        result[first][second] = related[second] === undefined ? null : related[second];
+      }
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Split SOQL into words, string literals, numbers, operators and commas
+ */
+function tokenize(soql) {
+  const tokens = [];
+  const pattern = /\s*(?:'((?:\\.|[^'\\])*)'|(!=|<=|>=|=|<|>)|(,)|([\w.:]+))/y;
+  const text = soql.trim();
+
+  while (pattern.lastIndex < text.length) {
+    const match = pattern.exec(text);
+    if (!match) {
+      throw new Error(`Could not tokenize SOQL near "${text.slice(pattern.lastIndex)}"`);
+    }
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'string', value: unescape(match[1]), raw: match[1] });
+    } else if (match[2]) {
+      tokens.push({ type: 'operator', value: match[2] });
+    } else if (match[3]) {
+      tokens.push({ type: ',', value: ',' });
+    } else {
+      tokens.push({ type: 'word', value: match[4] });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Undo SOQL string escaping (\' \\ \n ...)
+ */
+function unescape(raw) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+  return raw.replace(/\\(.)/g, (_, char) => escapes[char] || char);
+}
+
+/**
+ * Turn a LIKE pattern into a case-insensitive regex (% and _ are wildcards unless escaped)
+ */
+function likeToRegExp(raw) {
+  let source = '';
+  for (let i = 0; i < raw.length; i++) {
+    const char = raw[i];
+    if (char === '\\' && i + 1 < raw.length) {
+      source += unescape(raw.slice(i, i + 2)).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      i++;
+    } else if (char === '%') {
+      source += '.*';
+    } else if (char === '_') {
+      source += '.';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'is');
+}
+
+/**
+ * Evaluate one WHERE condition against a field value
+ */
+function matches(actual, { operator, value }) {
+  if (value.type === 'word' && /^LAST_N_DAYS:\d+$/i.test(value.value)) {
+    const days = Number(value.value.split(':')[1]);
+    return actual !== null && Date.parse(actual) >= Date.now() - days * 24 * 60 * 60 * 1000;
+  }
+
+  if (operator === 'LIKE') {
+    return actual !== null && likeToRegExp(value.raw).test(String(actual));
+  }
+
+  let expected = value.value;
+  if (value.type === 'word') {
+    const lower = value.value.toLowerCase();
+    expected = lower === 'true' ? true : lower === 'false' ? false : lower === 'null' ? null : Number(value.value);
+  }
+
+  // String comparisons are case-insensitive in SOQL
+  const normalize = v => (typeof v === 'string' ? v.toLowerCase() : v);
+  const left = normalize(actual === undefined ? null : actual);
+  const right = normalize(expected);
+
+  switch (operator) {
+    case '=': return left === right;
+    case '!=': return left !== right;
+    case '<': return left !== null && left < right;
+    case '>': return left !== null && left > right;
+    case '<=': return left !== null && left <= right;
+    case '>=': return left !== null && left >= right;
+    default: throw new Error(`Unsupported operator ${operator}`);
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Text of the first <tag> in a SOAP request, or null
+ */
+function xmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Send a SOAP response with one result element
+ */
+function sendSoap(res, responseName, result) {
+  const toXml = value => Object.entries(value)
+    .map(([key, v]) => `<${key}>${typeof v === 'object' ? toXml(v) : v}</${key}>`)
+    .join('');
+  res.writeHead(200, { 'Content-Type': 'text/xml' });
+  res.end('<?xml version="1.0" encoding="UTF-8"?>' +
+    '<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns="urn:partner.soap.sforce.com">' +
+    `<soapenv:Body><${responseName}><result>${toXml(result)}</result></${responseName}></soapenv:Body></soapenv:Envelope>`);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+module.exports = { FakeSalesforce };
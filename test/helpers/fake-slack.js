@@ -0,0 +1,111 @@
+// Shared across clients so message timestamps (request keys) never repeat within a run
+let lastTs = 0;
+
+/**
+ * Stand-in for the Bolt WebClient passed to handlers. Records every call and
+ * serves conversations.history from the messages posted to it with `addMessage`.
+ */
+class FakeSlackClient {
+  constructor() {
+    this.calls = [];
+    this.messages = [];
+    this.members = [];
+
+    this.reactions = {
+      add: async args => this.record('reactions.add', args, { ok: true }),
+    };
+
+    this.chat = {
+      postMessage: async args => this.record('chat.postMessage', args, {
+        ok: true,
+        channel: args.channel,
+        ts: this.generateTs(),
+      }),
+      update: async args => this.record('chat.update', args, { ok: true, ts: args.ts }),
+      postEphemeral: async args => this.record('chat.postEphemeral', args, { ok: true }),
+      getPermalink: async args => this.record('chat.getPermalink', args, {
+        ok: true,
+        permalink: `https://example.slack.com/archives/${args.channel}/p${args.message_ts.replace('.', '')}`,
+      }),
+    };
+
+    this.conversations = {
+      history: async args => this.record('conversations.history', args, {
+        ok: true,
+        messages: this.messages.filter(message =>
+          message.channel === args.channel && (!args.latest || message.ts === args.latest)),
+      }),
+    };
+
+    this.views = {
+      open: async args => this.record('views.open', args, { ok: true }),
+    };
+
+    this.users = {
+      lookupByEmail: async args => {
+        this.record('users.lookupByEmail', args);
+        const user = this.members.find(member => member.profile.email === args.email);
+        if (!user) {
+          // Same shape as the WebClient's platform errors
+          const error = new Error('An API error occurred: users_not_found');
+          error.data = { ok: false, error: 'users_not_found' };
+          throw error;
+        }
+        return { ok: true, user };
+      },
+    };
+  }
+
+  /**
+   * Add a workspace member (found by users.lookupByEmail)
+   */
+  addMember({ id, email }) {
+    this.members.push({ id, deleted: false, profile: { email } });
+  }
+
+  /**
+   * Put a message in channel history (what Zapier posted)
+   */
+  addMessage(message) {
+    const stored = { ts: this.generateTs(), ...message };
+    this.messages.push(stored);
+    return stored;
+  }
+
+  record(method, args, result) {
+    this.calls.push({ method, args });
+    return result;
+  }
+
+  generateTs() {
+    return `1700000000.${String(++lastTs).padStart(6, '0')}`;
+  }
+
+  /**
+   * Texts posted in a message thread
+   */
+  threadReplies(message) {
+    return this.calls
+      .filter(call => call.method === 'chat.postMessage' && call.args.thread_ts === message.ts)
+      .map(call => call.args.text);
+  }
+
+  /**
+   * Reaction names added to a message
+   */
+  reactionsOn(message) {
+    return this.calls
+      .filter(call => call.method === 'reactions.add' && call.args.timestamp === message.ts)
+      .map(call => call.args.name);
+  }
+}
+
+// Handlers log through Bolt's logger; keep test output to the bot's own console lines
+const silentLogger = {
+  debug() {},
+  info() {},
+  warn() {},
+  error() {},
+};
+
+module.exports = { FakeSlackClient, silentLogger };
@@ -0,0 +1,1357 @@
+// End-to-end tests: Zapier messages go through the real Slack handlers in index.js,
+// against an in-memory Salesforce and a recording Slack client. Nothing leaves the machine.
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { FakeSalesforce } = require('./helpers/fake-salesforce');
+const { FakeSlackClient, silentLogger } = require('./helpers/fake-slack');
+const fixtures = require('./fixtures/zapier-messages');
+
+const CHANNEL = 'C0LICENSES';
+const REVIEWER = 'U0REVIEWER';
+const BACKUP_REVIEWER = 'U0BACKUP';
+const EMEA_CHANNEL = 'C0EMEALICENSES';
+const EMEA_REVIEWERS = ['U0EMEAREV1', 'U0EMEAREV2'];
+const RESELLER_ACCOUNT_ID = '001000000000RESAAA';
+const HANDOFF_ENTRY_ID = '01t6T000006XZ6EQAW';
+const CHILICAL_ENTRY_ID = '01tPK000001c7hUYAQ';
+
+// CONFIG is read when index.js is required, so the environment has to be set first
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'license-bot-test-'));
+fs.writeFileSync(path.join(dataDir, 'channels.json'), JSON.stringify({
+  channels: [
+    { id: CHANNEL, name: 'licenses', reviewers: [REVIEWER], backupReviewers: [BACKUP_REVIEWER] },
+    {
+      id: EMEA_CHANNEL,
+      name: 'licenses-emea',
+      reviewers: EMEA_REVIEWERS,
+      trigger: 'New ChiliPiper EMEA License Request Submitted!',
+      opportunityFields: { StageName: 'Discovery', Region__c: 'EMEA' },
+      reviewMessages: { prospect: 'new EMEA prospect opportunity created for review.' },
+    },
+  ],
+}));
+// The shipped templates have no account-type overrides; the tests use one for Ex-Customer accounts
+const templates = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'templates.json'), 'utf8'));
+templates.accountTypes['Ex-Customer'] = {
+  opportunity: { Name: '{accountName} - Win-back ({product} x {quantity})', StageName: 'Negotiation' },
+};
+fs.writeFileSync(path.join(dataDir, 'templates.json'), JSON.stringify(templates));
+Object.assign(process.env, {
+  SLACK_BOT_TOKEN: 'xoxb-test',
+  SLACK_APP_TOKEN: 'xapp-test',
+  SLACK_SIGNING_SECRET: 'test-secret',
+  SF_CLIENT_ID: 'test-client',
+  SF_CLIENT_SECRET: 'test-secret',
+  SF_INSTANCE_URL: 'https://example.lightning.force.com',
+  LICENSE_REQUEST_CHANNEL: CHANNEL,
+  CHANNEL_CONFIG_FILE: path.join(dataDir, 'channels.json'),
+  RECORD_TEMPLATES_FILE: path.join(dataDir, 'templates.json'),
+  GONG_RESELLER_ACCOUNT_ID: RESELLER_ACCOUNT_ID,
+  PROCESSED_REQUESTS_FILE: path.join(dataDir, 'processed-requests.json'),
+  AUDIT_LOG_FILE: path.join(dataDir, 'audit-log.jsonl'),
+  FOLLOW_UPS_FILE: path.join(dataDir, 'follow-ups.json'),
+  LICENSE_WEBHOOK_SECRET: 'webhook-secret',
+  APPROVAL_MODE: 'false',
+  AUTO_CREATE_QUOTE: 'true',
+  AUTO_AMEND_SUBSCRIPTIONS: 'false',
+  AUTO_CREATE_ACCOUNTS: 'false',
+  SF_RETRY_BASE_DELAY_MS: '1',
+  // Each test defines its own org schema
+  SCHEMA_CACHE_MINUTES: '0',
+});
+
+const bot = require('../index');
+
+const salesforce = new FakeSalesforce();
+let slack;
+
+before(async () => {
+  // The bot logs every step to stdout, which the test runner also reads its results from
+  mock.method(console, 'log', () => {});
+
+  // initSalesforce reads the login URL when it first connects
+  process.env.SF_LOGIN_URL = await salesforce.start();
+});
+
+after(async () => {
+  mock.restoreAll();
+  await salesforce.stop();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  // Follow-ups from earlier tests run out: the first check reminds, the second escalates and drops them
+  const year = 365 * 24 * 60 * 60 * 1000;
+  await bot.checkFollowUps(new FakeSlackClient(), Date.now() + year);
+  await bot.checkFollowUps(new FakeSlackClient(), Date.now() + 2 * year);
+
+  salesforce.reset();
+  slack = new FakeSlackClient();
+
+  salesforce.insert('Account', { Id: RESELLER_ACCOUNT_ID, Name: 'Gong - Reseller Account', Type: 'Partner' });
+  salesforce.insert('Pricebook2', { Id: '01s000000000STDAAA', Name: 'Standard Price Book' });
+  salesforce.insert('Product2', { Id: '01t000000000HNDAAA', Name: 'Handoff License (Monthly)' });
+  salesforce.insert('Product2', { Id: '01t000000000CALAAA', Name: 'ChiliCal Teams License (Monthly)' });
+  salesforce.insert('PricebookEntry', {
+    Id: HANDOFF_ENTRY_ID, Pricebook2Id: '01s000000000STDAAA', Product2Id: '01t000000000HNDAAA', UnitPrice: 20,
+  });
+  salesforce.insert('PricebookEntry', {
+    Id: CHILICAL_ENTRY_ID, Pricebook2Id: '01s000000000STDAAA', Product2Id: '01t000000000CALAAA', UnitPrice: 15,
+  });
+});
+
+/**
+ * Post a fixture message to the license channel and run the message handler on it
+ */
+async function postRequest(fixture, channel = CHANNEL) {
+  const message = slack.addMessage({ ...fixture, channel });
+  await bot.handleMessage({ message, client: slack, logger: silentLogger });
+  return message;
+}
+
+/**
+ * YYYY-MM-DD date the given number of days from now
+ */
+function daysFromToday(days) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Audit log entries written for a message
+ */
+function auditEntries(message) {
+  if (!fs.existsSync(process.env.AUDIT_LOG_FILE)) {
+    return [];
+  }
+
+  return fs.readFileSync(process.env.AUDIT_LOG_FILE, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line))
+    .filter(entry => entry.ts === message.ts);
+}
+
+test('Prospect: creates the contact, opportunity and draft quote', async () => {
+  const account = salesforce.insert('Account', {
+    Name: 'Northwind Traders',
+    Type: 'Prospect',
+    Website: 'https://www.northwindtraders.com',
+  });
+
+  const message = await postRequest(fixtures.prospect);
+
+  const [contact] = salesforce.created('Contact');
+  assert.equal(salesforce.created('Contact').length, 1);
+  assert.equal(contact.FirstName, 'Nancy');
+  assert.equal(contact.LastName, 'Davolio');
+  assert.equal(contact.Email, 'nancy.davolio@northwindtraders.com');
+  assert.equal(contact.AccountId, account.Id);
+
+  const [opportunity] = salesforce.created('Opportunity');
+  assert.equal(salesforce.created('Opportunity').length, 1);
+  assert.equal(opportunity.Name, 'Northwind Traders - Inbound');
+  assert.equal(opportunity.AccountId, account.Id);
+  assert.equal(opportunity.StageName, 'Demo');
+  assert.equal(opportunity.Type, 'New Business');
+  assert.equal(opportunity.LeadSource, 'Partner');
+  assert.equal(opportunity.BillingAccount__c, RESELLER_ACCOUNT_ID);
+  assert.equal(opportunity.Primary_Contact__c, contact.Id);
+  assert.equal(opportunity.Won_Lost_Reason__c, 'Gong Reseller Referral');
+  assert.equal(opportunity.CloseDate, daysFromToday(30));
+
+  const [quote] = salesforce.created('Quote');
+  assert.equal(quote.Name, 'Northwind Traders - Gong License Quote');
+  assert.equal(quote.OpportunityId, opportunity.Id);
+  assert.equal(quote.Status, 'Draft');
+  assert.equal(quote.ExpirationDate, daysFromToday(30));
+  assert.equal(quote.Pricebook2Id, '01s000000000STDAAA');
+
+  const lineItems = salesforce.created('QuoteLineItem');
+  assert.equal(lineItems.length, 1);
+  assert.equal(lineItems[0].QuoteId, quote.Id);
+  assert.equal(lineItems[0].PricebookEntryId, HANDOFF_ENTRY_ID);
+  assert.equal(lineItems[0].Quantity, 25);
+  assert.equal(lineItems[0].UnitPrice, 20);
+
+  assert.deepEqual(slack.reactionsOn(message), ['eyes', 'white_check_mark']);
+
+  const replies = slack.threadReplies(message);
+  assert.equal(replies.length, 1);
+  assert.match(replies[0], /✅ \*Opportunity Created!\*/);
+  assert.match(replies[0], /\*Account Type:\* Prospect/);
+  assert.match(replies[0], /Nancy Davolio> _\(newly created\)_/);
+  assert.match(replies[0], /\*Quote Created:\*/);
+  assert.match(replies[0], /Handoff License \(Monthly\)> x 25/);
+  assert.match(replies[0], new RegExp(`<@${REVIEWER}> - new prospect opportunity created for review\\.`));
+
+  const [audit] = auditEntries(message);
+  assert.equal(audit.trigger, 'message');
+  assert.equal(audit.outcome, 'opportunity_created');
+  assert.equal(audit.salesforceIds.opportunityId, opportunity.Id);
+  assert.equal(audit.salesforceIds.createdContactId, contact.Id);
+});
+
+test('Ex-Customer: reuses the contact, uses the win-back template and flags the missing Gong subscription', async () => {
+  const account = salesforce.insert('Account', { Name: 'Contoso Ltd', Type: 'Ex-Customer', Website: 'contoso.com' });
+  const contact = salesforce.insert('Contact', {
+    FirstName: 'Carlos',
+    LastName: 'Diaz',
+    Email: 'carlos.diaz@contoso.com',
+    AccountId: account.Id,
+  });
+
+  const message = await postRequest(fixtures.exCustomer);
+
+  assert.equal(salesforce.created('Contact').length, 0);
+
+  const [opportunity] = salesforce.created('Opportunity');
+  assert.equal(salesforce.created('Opportunity').length, 1);
+  assert.equal(opportunity.AccountId, account.Id);
+  assert.equal(opportunity.OnBoarding_Contact__c, contact.Id);
+  assert.equal(opportunity.Name, 'Contoso Ltd - Win-back (ChiliCal Teams License (Monthly) x 10)');
+  assert.equal(opportunity.StageName, 'Negotiation');
+  assert.equal(opportunity.LeadSource, 'Partner');
+  assert.equal(opportunity.Won_Lost_Reason__c, 'Gong Reseller Referral');
+
+  const lineItems = salesforce.created('QuoteLineItem');
+  assert.equal(lineItems.length, 1);
+  assert.equal(lineItems[0].PricebookEntryId, CHILICAL_ENTRY_ID);
+  assert.equal(lineItems[0].Quantity, 10);
+
+  const [reply] = slack.threadReplies(message);
+  assert.match(reply, /✅ \*Opportunity Created!\*/);
+  assert.match(reply, /\*Account Type:\* Ex-Customer/);
+  assert.match(reply, /⚠️ \*No active Gong reseller subscription found\*/);
+  assert.match(reply, new RegExp(`<@${REVIEWER}> - ex-customer opportunity created for review\\.`));
+
+  const [audit] = auditEntries(message);
+  assert.equal(audit.outcome, 'opportunity_created');
+  assert.deepEqual(audit.resolution, ['contact_found_by_email']);
+});
+
+test('Legacy attachments: the request is read from the pretext and attachment fields', async () => {
+  const account = salesforce.insert('Account', {
+    Name: 'Northwind Traders',
+    Type: 'Prospect',
+    Website: 'https://www.northwindtraders.com',
+  });
+
+  const message = await postRequest(fixtures.legacyProspect);
+
+  const [contact] = salesforce.created('Contact');
+  assert.equal(contact.FirstName, 'Nancy');
+  assert.equal(contact.LastName, 'Davolio');
+  assert.equal(contact.Email, 'nancy.davolio@northwindtraders.com');
+  assert.equal(contact.AccountId, account.Id);
+
+  const lineItems = salesforce.created('QuoteLineItem');
+  assert.equal(lineItems.length, 1);
+  assert.equal(lineItems[0].PricebookEntryId, CHILICAL_ENTRY_ID);
+  assert.equal(lineItems[0].Quantity, 12);
+
+  assert.match(slack.threadReplies(message)[0], /✅ \*Opportunity Created!\*/);
+  assert.equal(auditEntries(message)[0].outcome, 'opportunity_created');
+});
+
+test('Customer: creates nothing and points the reviewer at the active subscription', async () => {
+  const account = salesforce.insert('Account', { Name: 'Fabrikam', Type: 'Customer', Website: 'fabrikam.com' });
+  salesforce.insert('Contact', {
+    FirstName: 'Fiona',
+    LastName: 'Baker',
+    Email: 'fiona.baker@fabrikam.com',
+    AccountId: account.Id,
+  });
+  const subscription = salesforce.insert('Ruby__Subscription__c', {
+    Name: 'SUB-000123',
+    Customer_Account_Id__c: account.Id,
+    Ruby__Status__c: 'Active',
+    Ruby__BillingAccount__c: RESELLER_ACCOUNT_ID,
+    Ruby__ProductName__c: 'Handoff License (Monthly)',
+    Ruby__Quantity__c: 30,
+    Ruby__SubscriptionStartDate__c: '2025-01-01',
+  });
+
+  const message = await postRequest(fixtures.customer);
+
+  assert.deepEqual(salesforce.writes, []);
+  assert.deepEqual(slack.reactionsOn(message), ['eyes', 'information_source']);
+
+  const [reply] = slack.threadReplies(message);
+  assert.match(reply, /ℹ️ \*Existing Customer Account\*/);
+  assert.match(reply, /✅ \*Has Active Gong Subscription:\* SUB-000123/);
+  assert.match(reply, /\*Current Quantity:\* 30/);
+  assert.match(reply, /Customer Lifecycle Manager/);
+  assert.match(reply, new RegExp(`<@${REVIEWER}> - please review this license request\\.`));
+
+  const [audit] = auditEntries(message);
+  assert.equal(audit.outcome, 'customer_account');
+  assert.equal(audit.salesforceIds.subscriptionId, subscription.Id);
+});
+
+test('Invalid request: replies with the fields it could not parse and writes nothing', async () => {
+  salesforce.insert('Account', { Name: 'Northwind Traders', Type: 'Prospect', Website: 'northwindtraders.com' });
+
+  const message = await postRequest(fixtures.missingCount);
+
+  assert.deepEqual(salesforce.writes, []);
+
+  const [reply] = slack.threadReplies(message);
+  assert.match(reply, /Could not process this license request/);
+  assert.match(reply, /\*License Count:\* "lots" is not a valid license count/);
+
+  const [audit] = auditEntries(message);
+  assert.equal(audit.outcome, 'invalid_request');
+});
+
+test('Messages outside the license channel are ignored', async () => {
+  const message = slack.addMessage({ ...fixtures.prospect, channel: 'C0ELSEWHERE' });
+  await bot.handleMessage({ message, client: slack, logger: silentLogger });
+
+  assert.deepEqual(slack.calls, []);
+  assert.deepEqual(salesforce.writes, []);
+});
+
+test('Each intake channel uses its own trigger, reviewers and opportunity defaults', async () => {
+  const account = salesforce.insert('Account', {
+    Name: 'Adventure Works',
+    Type: 'Prospect',
+    Website: 'adventure-works.de',
+  });
+
+  // The default Zap header is not a request in the EMEA channel
+  const ignored = await postRequest(fixtures.prospect, EMEA_CHANNEL);
+  assert.deepEqual(slack.threadReplies(ignored), []);
+
+  const message = await postRequest(fixtures.emeaProspect, EMEA_CHANNEL);
+
+  const [opportunity] = salesforce.created('Opportunity');
+  assert.equal(opportunity.AccountId, account.Id);
+  assert.equal(opportunity.StageName, 'Discovery');
+  assert.equal(opportunity.Region__c, 'EMEA');
+  assert.equal(opportunity.LeadSource, 'Partner');
+
+  const [reply] = slack.threadReplies(message);
+  assert.match(reply, /<@U0EMEAREV1> <@U0EMEAREV2> - new EMEA prospect opportunity created for review\./);
+  assert.doesNotMatch(reply, new RegExp(REVIEWER));
+});
+
+test('Reviews go to the account owner, who also owns the new opportunity', async () => {
+  const owner = salesforce.insert('User', { Name: 'Olivia Owner', Email: 'olivia.owner@chilipiper.com', IsActive: true });
+  salesforce.insert('Account', {
+    Name: 'Northwind Traders',
+    Type: 'Prospect',
+    Website: 'northwindtraders.com',
+    OwnerId: owner.Id,
+  });
+  slack.addMember({ id: 'U0OLIVIA', email: 'olivia.owner@chilipiper.com' });
+
+  const message = await postRequest(fixtures.prospect);
+
+  const [opportunity] = salesforce.created('Opportunity');
+  assert.equal(opportunity.OwnerId, owner.Id);
+
+  const [reply] = slack.threadReplies(message);
+  assert.match(reply, /<@U0OLIVIA> - new prospect opportunity created for review\./);
+  assert.doesNotMatch(reply, new RegExp(REVIEWER));
+
+  const [audit] = auditEntries(message);
+  assert.equal(audit.accountOwnerId, owner.Id);
+  assert.equal(audit.reviewerSlackUserId, 'U0OLIVIA');
+});
+
+test('Owners without a Slack user, or inactive owners, fall back to the channel reviewers', async () => {
+  const inactiveOwner = salesforce.insert('User', { Name: 'Ivan Gone', Email: 'ivan.gone@chilipiper.com', IsActive: false });
+  salesforce.insert('Account', {
+    Name: 'Northwind Traders',
+    Type: 'Prospect',
+    Website: 'northwindtraders.com',
+    OwnerId: inactiveOwner.Id,
+  });
+  const unknownOwner = salesforce.insert('User', { Name: 'Sam Nobody', Email: 'sam.nobody@chilipiper.com', IsActive: true });
+  const customerAccount = salesforce.insert('Account', {
+    Name: 'Fabrikam',
+    Type: 'Customer',
+    Website: 'fabrikam.com',
+    OwnerId: unknownOwner.Id,
+  });
+  salesforce.insert('Contact', {
+    FirstName: 'Fiona',
+    LastName: 'Baker',
+    Email: 'fiona.baker@fabrikam.com',
+    AccountId: customerAccount.Id,
+  });
+  slack.addMember({ id: 'U0IVAN', email: 'ivan.gone@chilipiper.com' });
+
+  const prospectMessage = await postRequest(fixtures.prospect);
+  const customerMessage = await postRequest(fixtures.customer);
+
+  // Salesforce won't assign records to inactive users, so the opportunity keeps the default owner
+  const [opportunity] = salesforce.created('Opportunity');
+  assert.equal(opportunity.OwnerId, undefined);
+
+  assert.match(slack.threadReplies(prospectMessage)[0], new RegExp(`<@${REVIEWER}> - new prospect opportunity`));
+  assert.match(slack.threadReplies(customerMessage)[0], new RegExp(`<@${REVIEWER}> - please review this license request`));
+});
+
+test('An open opportunity from the same template within the window is reported instead of creating another', async () => {
+  const account = salesforce.insert('Account', { Name: 'Northwind Traders', Type: 'Prospect', Website: 'northwindtraders.com' });
+  salesforce.insert('Opportunity', {
+    Name: 'Northwind Traders - Inbound',
+    AccountId: account.Id,
+    LeadSource: 'Partner',
+    Type: 'New Business',
+  });
+
+  const message = await postRequest(fixtures.prospect);
+
+  assert.equal(salesforce.created('Opportunity').length, 0);
+  const reply = slack.threadReplies(message).at(-1);
+  assert.match(reply, /♻️ \*Existing Opportunity Found\*/);
+  assert.match(reply, /An open opportunity with Lead Source "Partner" and Type "New Business" was created on this account in the last 14 days\./);
+});
+
+test('@mention in the thread reprocesses the request without a second opportunity', async () => {
+  salesforce.insert('Account', { Name: 'Northwind Traders', Type: 'Prospect', Website: 'northwindtraders.com' });
+
+  const message = await postRequest(fixtures.prospect);
+  assert.equal(salesforce.created('Opportunity').length, 1);
+
+  await bot.handleAppMention({
+    event: { type: 'app_mention', channel: CHANNEL, ts: slack.generateTs(), thread_ts: message.ts, text: '<@U0BOT> retry' },
+    client: slack,
+    logger: silentLogger,
+  });
+
+  assert.equal(salesforce.created('Opportunity').length, 1);
+  assert.equal(salesforce.created('Contact').length, 1);
+
+  const replies = slack.threadReplies(message);
+  assert.equal(replies.length, 3);
+  assert.equal(replies[1], '🔄 Processing license request for: nancy.davolio@northwindtraders.com');
+  assert.match(replies[2], /♻️ \*Existing Opportunity Found\*/);
+  assert.match(replies[2], /This request was already processed\./);
+
+  const audits = auditEntries(message);
+  assert.deepEqual(audits.map(entry => [entry.trigger, entry.outcome]), [
+    ['message', 'opportunity_created'],
+    ['app_mention', 'duplicate_opportunity'],
+  ]);
+});
+
+test('@mention outside a thread explains how to reprocess', async () => {
+  const ts = slack.generateTs();
+  await bot.handleAppMention({
+    event: { type: 'app_mention', channel: CHANNEL, ts, text: '<@U0BOT> hello' },
+    client: slack,
+    logger: silentLogger,
+  });
+
+  assert.equal(slack.calls.length, 1);
+  assert.equal(slack.calls[0].args.thread_ts, ts);
+  assert.match(slack.calls[0].args.text, /mention me in the thread of a Zapier message/);
+  assert.deepEqual(salesforce.writes, []);
+});
+
+// Standard fields plus the ones the default templates set
+const OPPORTUNITY_FIELDS = [
+  'Name', 'AccountId', 'OwnerId', 'CloseDate', 'Type', 'LeadSource', 'Won_Lost_Reason__c', 'Main_Competitor__c',
+  { name: 'StageName', type: 'picklist', picklistValues: ['Demo', 'Discovery', 'Closed Won'] },
+];
+
+test('Lookup reports what the pipeline would do for a contact without an account and a lead without a company', async () => {
+  salesforce.insert('Contact', { FirstName: 'Orphan', LastName: 'Contact', Email: 'orphan@northwindtraders.com' });
+  const orphan = await bot.describeLookup('orphan@northwindtraders.com', 'Northwind Traders');
+  assert.match(orphan, /\*Account:\* Could not find account for contact: Orphan Contact/);
+  assert.match(orphan, /\*Would:\* post for manual processing/);
+  assert.doesNotMatch(orphan, /new Prospect account/);
+
+  salesforce.insert('Lead', { FirstName: 'Lena', LastName: 'Lead', Email: 'lena@fabrikam.com', Status: 'Open', IsConverted: false });
+  const lead = await bot.describeLookup('lena@fabrikam.com', 'Fabrikam');
+  assert.match(lead, /the Lead would be converted into a new Prospect account \*Fabrikam\*/);
+});
+
+test('Leads: a matching Lead is converted into a new account and contact, which get the opportunity', async () => {
+  salesforce.insert('LeadStatus', { MasterLabel: 'Qualified', IsConverted: true, SortOrder: 1 });
+  const lead = salesforce.insert('Lead', {
+    FirstName: 'Nancy',
+    LastName: 'Davolio',
+    Email: 'nancy.davolio@northwindtraders.com',
+    Company: 'Northwind Traders Ltd',
+    Status: 'Open',
+    IsConverted: false,
+  });
+
+  const message = await postRequest(fixtures.prospect);
+
+  assert.equal(lead.IsConverted, true);
+  assert.equal(lead.Status, 'Qualified');
+
+  const [account] = salesforce.created('Account');
+  assert.equal(salesforce.created('Account').length, 1);
+  assert.equal(account.Id, lead.ConvertedAccountId);
+  assert.equal(account.Name, 'Northwind Traders Ltd');
+  assert.equal(account.Type, 'Prospect');
+
+  const [contact] = salesforce.created('Contact');
+  assert.equal(salesforce.created('Contact').length, 1);
+  assert.equal(contact.Id, lead.ConvertedContactId);
+  assert.equal(contact.AccountId, account.Id);
+
+  const [opportunity] = salesforce.created('Opportunity');
+  assert.equal(salesforce.created('Opportunity').length, 1);
+  assert.equal(opportunity.AccountId, account.Id);
+  assert.equal(opportunity.Primary_Contact__c, contact.Id);
+  assert.equal(salesforce.created('QuoteLineItem')[0].Quantity, 25);
+
+  const [reply] = slack.threadReplies(message);
+  assert.match(reply, /✅ \*Opportunity Created!\*/);
+  assert.match(reply, /Northwind Traders Ltd> _\(newly created from the Lead/);
+  assert.match(reply, /Nancy Davolio> _\(converted from Lead\)_/);
+
+  const [audit] = auditEntries(message);
+  assert.equal(audit.outcome, 'opportunity_created');
+  assert.deepEqual(audit.resolution.filter(step => step.startsWith('lead_')), ['lead_found', 'lead_converted']);
+  assert.equal(audit.salesforceIds.leadId, lead.Id);
+  assert.equal(audit.salesforceIds.createdAccountId, account.Id);
+  assert.equal(audit.salesforceIds.createdContactId, contact.Id);
+});
+
+test('Leads: a Lead whose email matches an existing account is converted into that account', async () => {
+  salesforce.insert('LeadStatus', { MasterLabel: 'Qualified', IsConverted: true, SortOrder: 1 });
+  const existing = salesforce.insert('Account', {
+    Name: 'Northwind Traders',
+    Type: 'Prospect',
+    Website: 'https://www.northwindtraders.com',
+  });
+  const lead = salesforce.insert('Lead', {
+    FirstName: 'Nancy',
+    LastName: 'Davolio',
+    Email: 'nancy.davolio@northwindtraders.com',
+    Company: 'Northwind',
+    Status: 'Open',
+    IsConverted: false,
+  });
+
+  await postRequest(fixtures.prospect);
+
+  assert.equal(lead.ConvertedAccountId, existing.Id);
+  assert.equal(salesforce.created('Account').length, 0);
+
+  const [contact] = salesforce.created('Contact');
+  assert.equal(contact.Id, lead.ConvertedContactId);
+  assert.equal(contact.AccountId, existing.Id);
+
+  const [opportunity] = salesforce.created('Opportunity');
+  assert.equal(opportunity.AccountId, existing.Id);
+  assert.equal(opportunity.Primary_Contact__c, contact.Id);
+});
+
+test('Thousands separators in license counts are not read as list separators', () => {
+  const listed = bot.parseLicenseRequest(fixtures.customer.text
+    .replace('*License Type:* Handoff', '*License Type:* Handoff, ChiliCal')
+    .replace('*License Count:* 40', '*License Count:* 1,000, 5'));
+  assert.deepEqual(listed.items, [{ product: 'handoff', quantity: 1000 }, { product: 'chilical', quantity: 5 }]);
+  assert.deepEqual(listed.errors, {});
+
+  const inline = bot.parseLicenseRequest(fixtures.customer.text
+    .replace('*License Type:* Handoff', '*License Type:* Handoff x 1,200, ChiliCal x 5')
+    .replace('*License Count:* 40\n', ''));
+  assert.deepEqual(inline.items, [{ product: 'handoff', quantity: 1200 }, { product: 'chilical', quantity: 5 }]);
+});
+
+test('Fields named after a product are only read as counts when they are count fields', () => {
+  const request = bot.parseLicenseRequest(fixtures.customer.text
+    .replace('*License Count:* 40', '*Handoff Start Date:* 2026-01-01\n*Handoff Account ID:* 42\n*License Count:* 40'));
+  assert.deepEqual(request.items, [{ product: 'handoff', quantity: 40 }]);
+  assert.deepEqual(request.errors, {});
+
+  const perProduct = bot.parseLicenseRequest(fixtures.customer.text
+    .replace('*License Count:* 40', '*Handoff License Count:* 12'));
+  assert.deepEqual(perProduct.items, [{ product: 'handoff', quantity: 12 }]);
+
+  const notANumber = bot.parseLicenseRequest(fixtures.customer.text.replace('*License Count:* 40', '*License Count:* 40 or 50'));
+  assert.match(notANumber.errors.quantity, /"40 or 50" is not a valid license count/);
+});
+
+test('Seat counts are read under any of the count labels', () => {
+  for (const label of ['Seats', 'Number of Seats', 'Seat Count', 'Number of Licenses']) {
+    const request = bot.parseLicenseRequest(fixtures.customer.text.replace('*License Count:* 40', `*${label}:* 10`));
+    assert.deepEqual(request.items, [{ product: 'handoff', quantity: 10 }], label);
+    assert.deepEqual(request.errors, {}, label);
+  }
+
+  const perProduct = bot.parseLicenseRequest(fixtures.customer.text
+    .replace('*License Type:* Handoff', '*License Type:* Handoff, ChiliCal')
+    .replace('*License Count:* 40', '*Handoff Number of Seats:* 10\n*ChiliCal Seat Count:* 5'));
+  assert.deepEqual(perProduct.items, [{ product: 'handoff', quantity: 10 }, { product: 'chilical', quantity: 5 }]);
+});
+
+/**
+ * Post a request in approval mode and return it with its preview's pending key
+ */
+async function postForApproval(fixture) {
+  bot.CONFIG.approvalMode = true;
+  try {
+    const message = await postRequest(fixture);
+    const preview = slack.calls.find(call => call.method === 'chat.postMessage' && call.args.blocks);
+    const actions = preview.args.blocks.find(block => block.type === 'actions');
+    return { message, key: actions.elements[0].value };
+  } finally {
+    bot.CONFIG.approvalMode = false;
+  }
+}
+
+/**
+ * Button click payload for a preview button
+ */
+function buttonClick(key, message) {
+  return {
+    actions: [{ value: key }],
+    user: { id: REVIEWER },
+    channel: { id: CHANNEL },
+    message: { thread_ts: message.ts },
+    trigger_id: 'trigger-1',
+  };
+}
+
+/**
+ * Edit modal submission (listener `body` and `view`) with the given field values
+ */
+function editSubmission(key, { account = '', counts = [] }) {
+  const values = { account: { value: { value: account } } };
+  counts.forEach((count, i) => {
+    values[`license_count_${i}`] = { value: { value: count } };
+  });
+  const view = { private_metadata: key, state: { values } };
+  return { body: { user: { id: REVIEWER }, view }, view };
+}
+
+/**
+ * ack() stand-in that records what the handler acknowledged with
+ */
+function recordingAck() {
+  const ack = async response => {
+    ack.calls.push(response);
+  };
+  ack.calls = [];
+  return ack;
+}
+
+test('Approval mode: nothing is written until Create, and a double-click creates one opportunity', async () => {
+  salesforce.insert('Account', { Name: 'Northwind Traders', Type: 'Prospect', Website: 'northwindtraders.com' });
+  const { message, key } = await postForApproval(fixtures.prospect);
+
+  assert.equal(salesforce.created('Opportunity').length, 0);
+  assert.equal(salesforce.created('Contact').length, 0);
+  assert.deepEqual(auditEntries(message).map(entry => entry.outcome), ['awaiting_approval']);
+
+  await Promise.all([
+    bot.handleApprovalCreate({ ack: recordingAck(), body: buttonClick(key, message), client: slack, logger: silentLogger }),
+    bot.handleApprovalCreate({ ack: recordingAck(), body: buttonClick(key, message), client: slack, logger: silentLogger }),
+  ]);
+
+  assert.equal(salesforce.created('Opportunity').length, 1);
+  assert.equal(salesforce.created('Contact').length, 1);
+  const update = slack.calls.find(call => call.method === 'chat.update');
+  assert.match(update.args.blocks.at(-1).elements[0].text, new RegExp(`✅ Approved by <@${REVIEWER}>`));
+  assert.deepEqual(auditEntries(message).map(entry => [entry.trigger, entry.outcome]), [
+    ['message', 'awaiting_approval'],
+    ['approval', 'opportunity_created'],
+  ]);
+});
+
+test('Approval mode: Skip writes nothing and retires the preview', async () => {
+  salesforce.insert('Account', { Name: 'Northwind Traders', Type: 'Prospect', Website: 'northwindtraders.com' });
+  const { message, key } = await postForApproval(fixtures.prospect);
+
+  await bot.handleApprovalSkip({ ack: recordingAck(), body: buttonClick(key, message), client: slack });
+
+  assert.equal(salesforce.created('Opportunity').length, 0);
+  const update = slack.calls.find(call => call.method === 'chat.update');
+  assert.match(update.args.blocks.at(-1).elements[0].text, /⏭️ Skipped by .* - nothing was created/);
+  assert.equal(auditEntries(message).at(-1).outcome, 'skipped');
+
+  // The buttons are gone, but an old copy of the preview can still be clicked
+  await bot.handleApprovalCreate({ ack: recordingAck(), body: buttonClick(key, message), client: slack, logger: silentLogger });
+  assert.equal(salesforce.created('Opportunity').length, 0);
+  const [ephemeral] = slack.calls.filter(call => call.method === 'chat.postEphemeral');
+  assert.match(ephemeral.args.text, /This preview is no longer active/);
+});
+
+test('Approval mode: Edit opens the modal, and a submission is checked, applied and created', async () => {
+  salesforce.insert('Account', { Name: 'Northwind Traders', Type: 'Prospect', Website: 'northwindtraders.com' });
+  const other = salesforce.insert('Account', { Name: 'Northwind Holdings', Type: 'Prospect', Website: 'northwindholdings.com' });
+  const { message, key } = await postForApproval(fixtures.prospect);
+
+  await bot.handleApprovalEdit({ ack: recordingAck(), body: buttonClick(key, message), client: slack });
+  const [open] = slack.calls.filter(call => call.method === 'views.open');
+  assert.equal(open.args.view.private_metadata, key);
+  const countBlock = open.args.view.blocks.find(block => block.block_id === 'license_count_0');
+  assert.equal(countBlock.element.initial_value, '25');
+
+  // Checks that need no Salesforce call keep the modal open
+  const invalidAck = recordingAck();
+  await bot.handleApprovalEditSubmission({
+    ack: invalidAck, ...editSubmission(key, { account: 'Northwind Traders', counts: ['lots'] }), client: slack, logger: silentLogger,
+  });
+  assert.deepEqual(invalidAck.calls, [{ response_action: 'errors', errors: { license_count_0: 'Enter a whole number greater than 0' } }]);
+
+  // Lookups run after the modal closed, so problems are posted in the thread
+  const unknownAck = recordingAck();
+  await bot.handleApprovalEditSubmission({
+    ack: unknownAck, ...editSubmission(key, { account: 'Tailspin Toys', counts: ['30'] }), client: slack, logger: silentLogger,
+  });
+  assert.deepEqual(unknownAck.calls, [undefined]);
+  assert.match(slack.threadReplies(message).at(-1), /⚠️ Could not apply the edit from .*: No account found for "Tailspin Toys"\./);
+
+  const validAck = recordingAck();
+  await bot.handleApprovalEditSubmission({
+    ack: validAck, ...editSubmission(key, { account: 'Northwind Holdings', counts: ['30'] }), client: slack, logger: silentLogger,
+  });
+  assert.deepEqual(validAck.calls, [undefined]);
+  const update = slack.calls.filter(call => call.method === 'chat.update').at(-1);
+  assert.match(update.args.blocks[0].text.text, /Northwind Holdings/);
+  assert.match(update.args.blocks[0].text.text, /\*Quantity:\* 30/);
+
+  await bot.handleApprovalCreate({ ack: recordingAck(), body: buttonClick(key, message), client: slack, logger: silentLogger });
+  const [opportunity] = salesforce.created('Opportunity');
+  assert.equal(opportunity.AccountId, other.Id);
+  const [contact] = salesforce.created('Contact');
+  assert.equal(contact.AccountId, other.Id);
+});
+
+test('Approval mode: a customer request that changes no seats is not held for approval', async () => {
+  bot.CONFIG.autoAmendSubscriptions = true;
+  try {
+    const account = salesforce.insert('Account', { Name: 'Fabrikam', Type: 'Customer', Website: 'fabrikam.com' });
+    salesforce.insert('Contact', { FirstName: 'Fiona', LastName: 'Baker', Email: 'fiona.baker@fabrikam.com', AccountId: account.Id });
+    salesforce.insert('Ruby__Subscription__c', {
+      Name: 'SUB-000123',
+      Customer_Account_Id__c: account.Id,
+      Ruby__Status__c: 'Active',
+      Ruby__BillingAccount__c: RESELLER_ACCOUNT_ID,
+      Ruby__ProductName__c: 'Handoff License (Monthly)',
+      Ruby__Quantity__c: 40,
+    });
+
+    bot.CONFIG.approvalMode = true;
+    let message;
+    try {
+      message = await postRequest(fixtures.customer);
+    } finally {
+      bot.CONFIG.approvalMode = false;
+    }
+
+    assert.equal(slack.calls.some(call => call.method === 'chat.postMessage' && call.args.blocks), false);
+    assert.deepEqual(salesforce.created('Order'), []);
+    assert.match(slack.threadReplies(message)[0], /ℹ️ \*Existing Customer Account\*/);
+  } finally {
+    bot.CONFIG.autoAmendSubscriptions = false;
+  }
+});
+
+test('SOQL: request values are escaped, LIKE wildcards matched literally and malformed IDs rejected', () => {
+  const { soql, soqlContains, soqlId } = bot;
+
+  assert.equal(soql`SELECT Id FROM Account WHERE Name = ${"O'Reilly\\Sons"}`,
+    String.raw`SELECT Id FROM Account WHERE Name = 'O\'Reilly\\Sons'`);
+  // A quote can't close the literal and add a condition
+  assert.equal(soql`SELECT Id FROM Account WHERE Name = ${"x' OR Name != 'y"}`,
+    String.raw`SELECT Id FROM Account WHERE Name = 'x\' OR Name != \'y'`);
+  assert.equal(soql`SELECT Id FROM Account WHERE Name LIKE ${soqlContains("100%_O'Brien")}`,
+    String.raw`SELECT Id FROM Account WHERE Name LIKE '%100\%\_O\'Brien%'`);
+  assert.equal(soql`SELECT Id FROM Account WHERE NumberOfEmployees = ${25} AND Website = ${null}`,
+    'SELECT Id FROM Account WHERE NumberOfEmployees = 25 AND Website = null');
+
+  assert.equal(soql`SELECT Id FROM Contact WHERE AccountId = ${soqlId('001000000000001AAA')}`,
+    "SELECT Id FROM Contact WHERE AccountId = '001000000000001AAA'");
+  for (const malformed of ["001000000000001' OR Id != '", '001000000000001AA', '', null, 42]) {
+    assert.throws(() => soqlId(malformed), /Invalid Salesforce ID/);
+  }
+});
+
+/**
+ * The account choice message posted in a request thread, if any
+ */
+function accountChoices(message) {
+  const post = slack.calls.find(call =>
+    call.method === 'chat.postMessage' && call.args.thread_ts === message.ts && call.args.text.startsWith('🤔'));
+  return post && post.args.blocks;
+}
+
+test('Account matching: a clear winner is used without asking', async () => {
+  const winner = salesforce.insert('Account', { Name: 'Northwind Traders', Type: 'Prospect', Website: 'https://www.northwindtraders.com' });
+  salesforce.insert('Account', { Name: 'Northwind Traders Europe', Type: 'Prospect' });
+
+  const message = await postRequest(fixtures.prospect);
+
+  assert.equal(accountChoices(message), undefined);
+  const [opportunity] = salesforce.created('Opportunity');
+  assert.equal(opportunity.AccountId, winner.Id);
+  assert.equal(auditEntries(message)[0].resolution[0], 'account_found_by_domain');
+});
+
+test('Account matching: close candidates are offered as buttons, and the chosen account is used', async () => {
+  const prospect = salesforce.insert('Account', { Name: 'Northwind Traders', Type: 'Prospect' });
+  const customer = salesforce.insert('Account', { Name: 'Northwind Traders Inc', Type: 'Customer' });
+
+  const message = await postRequest(fixtures.prospect);
+
+  assert.equal(salesforce.created('Opportunity').length, 0);
+  assert.equal(auditEntries(message)[0].outcome, 'awaiting_account_choice');
+  const buttons = accountChoices(message).filter(block => block.accessory).map(block => block.accessory.value);
+  assert.deepEqual(buttons.map(value => value.split('|')[1]).sort(), [prospect.Id, customer.Id].sort());
+
+  const body = { ...buttonClick(null, message), actions: [{ value: buttons.find(value => value.endsWith(prospect.Id)) }] };
+  await bot.handleAccountChoice({ ack: recordingAck(), body, client: slack, logger: silentLogger });
+
+  const [opportunity] = salesforce.created('Opportunity');
+  assert.equal(opportunity.AccountId, prospect.Id);
+  const update = slack.calls.find(call => call.method === 'chat.update');
+  assert.match(update.args.blocks.at(-1).elements[0].text, /chose \*Northwind Traders\*/);
+  assert.deepEqual(auditEntries(message).map(entry => [entry.trigger, entry.outcome]), [
+    ['message', 'awaiting_account_choice'],
+    ['account_choice', 'opportunity_created'],
+  ]);
+});
+
+test('Account matching: a single candidate below the threshold is offered, and "None of these" leaves it for manual processing', async () => {
+  salesforce.insert('Account', { Name: 'Northwind Traders Europe', Type: 'Prospect' });
+
+  const message = await postRequest(fixtures.prospect);
+  assert.match(accountChoices(message)[1].text.text, /Northwind Traders Europe.*\n.*score 29/);
+  const none = accountChoices(message).find(block => block.type === 'actions').elements[0];
+  assert.equal(none.text.text, 'None of these');
+
+  await bot.handleAccountNone({ ack: recordingAck(), body: buttonClick(none.value, message), client: slack, logger: silentLogger });
+
+  assert.equal(salesforce.created('Account').length, 0);
+  assert.equal(salesforce.created('Opportunity').length, 0);
+  const update = slack.calls.find(call => call.method === 'chat.update');
+  assert.match(update.args.blocks.at(-1).elements[0].text, /none of these - please create the account, contact, and opportunity manually/);
+  assert.equal(auditEntries(message).at(-1).outcome, 'account_not_found');
+});
+
+test('Domains: websites and subdomains reduce to the registrable domain', () => {
+  assert.equal(bot.normalizeDomain('mail.acme.com'), 'acme.com');
+  assert.equal(bot.normalizeDomain('https://www.eu.acme.com/about?x=1'), 'acme.com');
+  assert.equal(bot.normalizeDomain('acme.co.uk'), 'acme.co.uk');
+  assert.equal(bot.normalizeDomain('shop.acme.co.uk'), 'acme.co.uk');
+  assert.equal(bot.normalizeDomain('ACME.COM.'), 'acme.com');
+  assert.equal(bot.normalizeDomain(''), '');
+});
+
+test('Domains: an email on a subdomain matches the account website', async () => {
+  const account = salesforce.insert('Account', { Name: 'Northwind Traders', Type: 'Prospect', Website: 'http://www.northwindtraders.com/' });
+  const message = await postRequest({
+    ...fixtures.prospect,
+    text: fixtures.prospect.text.replace(/nancy\.davolio@northwindtraders\.com/g, 'nancy.davolio@mail.northwindtraders.com'),
+  });
+
+  const [opportunity] = salesforce.created('Opportunity');
+  assert.equal(opportunity.AccountId, account.Id);
+  assert.equal(auditEntries(message)[0].resolution[0], 'account_found_by_domain');
+});
+
+test('Domains: a free email domain is matched by company name only, with a warning', async () => {
+  const account = salesforce.insert('Account', { Name: 'Northwind Traders', Type: 'Prospect', Website: 'northwindtraders.com' });
+  // Would be an exact domain match if gmail.com were used for matching
+  salesforce.insert('Account', { Name: 'Gmail Fans Club', Type: 'Prospect', Website: 'gmail.com' });
+  const message = await postRequest({
+    ...fixtures.prospect,
+    text: fixtures.prospect.text.replace(/nancy\.davolio@northwindtraders\.com/g, 'nancy.davolio@gmail.com'),
+  });
+
+  const [opportunity] = salesforce.created('Opportunity');
+  assert.equal(opportunity.AccountId, account.Id);
+  assert.match(slack.threadReplies(message)[0],
+    /⚠️ `gmail\.com` is a personal email provider, so the account was matched by company name \(\*Northwind Traders\*\) only/);
+  assert.deepEqual(auditEntries(message)[0].resolution.slice(0, 2), ['free_email_domain', 'account_found_by_name']);
+});
+
+test('Schema: fields missing in the org are left out of new records and noted in the thread', async () => {
+  salesforce.defineSchema('Opportunity', [
+    ...OPPORTUNITY_FIELDS,
+    'OnBoarding_Contact__c',
+    // Formula field in this org
+    { name: 'MSA_Redlines__c', createable: false },
+  ]);
+  salesforce.defineSchema('Quote', ['Name', 'OpportunityId', 'Pricebook2Id', 'Status', 'ExpirationDate']);
+  salesforce.insert('Account', { Name: 'Northwind Traders', Type: 'Prospect', Website: 'northwindtraders.com' });
+
+  const message = await postRequest(fixtures.prospect);
+
+  const [contact] = salesforce.created('Contact');
+  const [opportunity] = salesforce.created('Opportunity');
+  assert.equal(opportunity.Name, 'Northwind Traders - Inbound');
+  assert.equal(opportunity.OnBoarding_Contact__c, contact.Id);
+  assert.equal(opportunity.BillingAccount__c, undefined);
+  assert.equal(opportunity.Primary_Contact__c, undefined);
+  assert.equal(opportunity.MSA_Redlines__c, undefined);
+
+  const [quote] = salesforce.created('Quote');
+  assert.equal(quote.OpportunityId, opportunity.Id);
+  assert.equal(quote.BillingAccount__c, undefined);
+
+  // No retries: one create per record
+  assert.equal(salesforce.writes.filter(write => write.sobjectType === 'Opportunity').length, 1);
+
+  const [reply] = slack.threadReplies(message);
+  assert.match(reply, /⚠️ Note: MSA_Redlines__c, BillingAccount__c, Primary_Contact__c not set \(missing in Salesforce\)/);
+  assert.match(reply, /⚠️ Note: BillingAccount__c not set on quote \(missing in Salesforce\)/);
+});
+
+test('Schema drift: missing objects, fields and picklist values are logged and posted to Slack', async () => {
+  salesforce.defineSchema('Account', [
+    'Name', 'Website', 'LastActivityDate', 'OwnerId',
+    {
+      name: 'Type',
+      type: 'picklist',
+      picklistValues: ['Prospect', 'Customer', { value: 'Ex-Customer', label: 'Ex-Customer', active: false }],
+    },
+  ]);
+  salesforce.defineSchema('Contact', ['FirstName', 'LastName', 'Email', 'AccountId']);
+  salesforce.defineSchema('Opportunity', [
+    ...OPPORTUNITY_FIELDS, 'BillingAccount__c', 'OnBoarding_Contact__c', 'Primary_Contact__c', 'MSA_Redlines__c', 'Region__c',
+  ]);
+  salesforce.defineSchema('Quote', [
+    'Name', 'OpportunityId', 'Pricebook2Id', 'Status', 'ExpirationDate', 'BillingAccount__c',
+  ]);
+  salesforce.defineSchema('QuoteLineItem', ['QuoteId', 'PricebookEntryId', 'Quantity', 'UnitPrice']);
+  salesforce.defineSchema('Order', ['AccountId', 'Status', 'EffectiveDate', 'Pricebook2Id', 'Description']);
+  salesforce.defineSchema('OrderItem', ['OrderId', 'PricebookEntryId', 'Quantity', 'UnitPrice']);
+  const warn = mock.method(console, 'warn', () => {});
+
+  const drift = await bot.checkSalesforceSchema();
+  warn.mock.restore();
+
+  assert.deepEqual(drift, [
+    'Account.Type: picklist value "Ex-Customer" does not exist or is inactive',
+    // The Ex-Customer template moves opportunities to a stage this org doesn't have
+    'Opportunity.StageName: picklist value "Negotiation" does not exist or is inactive',
+    'OrderItem.Ruby__Subscription__c: field does not exist',
+    'Ruby__Subscription__c: object does not exist',
+  ]);
+  assert.ok(warn.mock.calls.some(call => /Salesforce schema drift \(4\)/.test(call.arguments[0])));
+
+  await bot.postSchemaDriftReport(slack, drift);
+  const [post] = slack.calls;
+  assert.equal(post.method, 'chat.postMessage');
+  assert.equal(post.args.channel, CHANNEL);
+  assert.match(post.args.text, /Salesforce schema drift found at startup/);
+  assert.match(post.args.text, /• Ruby__Subscription__c: object does not exist/);
+
+  await bot.postSchemaDriftReport(slack, []);
+  assert.equal(slack.calls.length, 1);
+});
+
+/**
+ * Value of one Prometheus sample (0 when the series doesn't exist yet)
+ */
+function metricValue(metricsText, series) {
+  const line = metricsText.split('\n').find(candidate => candidate.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : 0;
+}
+
+test('Metrics and health report requests, outcomes, Salesforce latency and connection status', async () => {
+  const detected = 'license_bot_requests_detected_total{trigger="message",channel="C0LICENSES"}';
+  const created = 'license_bot_request_results_total{result="opportunity_created",outcome="opportunity_created"}';
+  const fallback = 'license_bot_request_results_total{result="manual_fallback",outcome="invalid_request"}';
+  const contactCreates = 'license_bot_salesforce_call_duration_seconds_count{operation="create",sobject="Contact",status="ok"}';
+  const before = bot.formatPrometheusMetrics();
+
+  salesforce.insert('Account', { Name: 'Northwind Traders', Type: 'Prospect', Website: 'northwindtraders.com' });
+  await postRequest(fixtures.prospect);
+  await postRequest(fixtures.missingCount);
+
+  const after = bot.formatPrometheusMetrics();
+  assert.equal(metricValue(after, detected) - metricValue(before, detected), 2);
+  assert.equal(metricValue(after, created) - metricValue(before, created), 1);
+  assert.equal(metricValue(after, fallback) - metricValue(before, fallback), 1);
+  assert.equal(metricValue(after, contactCreates) - metricValue(before, contactCreates), 1);
+  assert.match(after, /# TYPE license_bot_salesforce_call_duration_seconds histogram/);
+  assert.match(after, /license_bot_salesforce_call_duration_seconds_bucket\{operation="query",sobject="Account",status="ok",le="\+Inf"\} \d+/);
+  assert.match(after, /^license_bot_salesforce_connected 1$/m);
+
+  // Socket Mode never starts in tests, so the bot is live but not ready
+  const health = bot.getHealthStatus();
+  assert.equal(health.ok, false);
+  assert.equal(health.slack.connected, false);
+  assert.equal(health.salesforce.connected, true);
+  assert.ok(health.salesforce.tokenAgeSeconds >= 0);
+  assert.ok(Date.parse(health.salesforce.lastSuccessfulQueryAt) <= Date.now());
+});
+
+test('Digest summarises outcomes, account types and products and links threads needing manual work', async () => {
+  fs.rmSync(process.env.AUDIT_LOG_FILE, { force: true });
+  // Handled before this period: one request is still open, the other was reprocessed and resolved since
+  const tenDaysAgo = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+  const oldEntry = (ts, company, outcome) => JSON.stringify({
+    finishedAt: tenDaysAgo, trigger: 'message', channel: CHANNEL, ts, outcome,
+    fields: { company, items: [{ product: 'handoff', quantity: 7 }] }, accountType: null,
+  }) + '\n';
+  fs.writeFileSync(process.env.AUDIT_LOG_FILE,
+    oldEntry('1600000000.000001', 'Tailspin Toys', 'account_not_found') +
+    oldEntry('1600000000.000002', 'Litware', 'account_not_found') +
+    oldEntry('1600000000.000002', 'Litware', 'opportunity_created'));
+
+  salesforce.insert('Account', { Name: 'Northwind Traders', Type: 'Prospect', Website: 'northwindtraders.com' });
+  salesforce.insert('Account', { Name: 'Contoso Ltd', Type: 'Ex-Customer', Website: 'contoso.com' });
+  salesforce.insert('Account', { Name: 'Adventure Works', Type: 'Prospect', Website: 'adventure-works.de' });
+
+  await postRequest(fixtures.prospect);
+  await postRequest(fixtures.exCustomer);
+  const invalid = await postRequest(fixtures.missingCount);
+  bot.CONFIG.approvalMode = true;
+  let awaitingApproval;
+  try {
+    awaitingApproval = await postRequest(fixtures.emeaProspect, EMEA_CHANNEL);
+  } finally {
+    bot.CONFIG.approvalMode = false;
+  }
+  slack.calls = [];
+
+  const summary = await bot.postDigest(slack, { schedule: 'weekly', until: new Date(Date.now() + 1000) });
+  assert.equal(summary.requests, 4);
+  // The invalid request's count was defaulted, so only real seats are added up
+  assert.equal(summary.seats, 40);
+
+  const [post] = slack.calls.filter(call => call.method === 'chat.postMessage');
+  assert.equal(post.args.channel, CHANNEL);
+  const text = post.args.text;
+  assert.match(text, /📊 \*Weekly license request digest\*/);
+  assert.match(text, /\*Requests:\* 4 {3}\*Seats requested:\* 40/);
+  assert.match(text, /• Opportunity created: 2/);
+  assert.match(text, /• Invalid request: 1/);
+  assert.match(text, /• Awaiting approval: 1/);
+  assert.match(text, /• Prospect: 2/);
+  assert.match(text, /• Ex-Customer: 1/);
+  assert.match(text, /• Handoff License \(Monthly\): 3 requests, 30 seats/);
+  assert.match(text, /• ChiliCal Teams License \(Monthly\): 1 request, 10 seats/);
+  assert.match(text, /Still marked for manual processing \(3\)/);
+  assert.match(text, /p1600000000000001\|Tailspin Toys> - Account not found/);
+  assert.doesNotMatch(text, /Litware/);
+  assert.match(text, new RegExp(`<https://example\\.slack\\.com/archives/${CHANNEL}/p${invalid.ts.replace('.', '')}\\|Northwind Traders> - Invalid request`));
+  assert.match(text, new RegExp(`/archives/${EMEA_CHANNEL}/p${awaitingApproval.ts.replace('.', '')}\\|Adventure Works> - Awaiting approval`));
+
+  // Entries outside the period are left out
+  const empty = await bot.postDigest(slack, { schedule: 'daily', until: new Date(Date.now() - 24 * 60 * 60 * 1000) });
+  assert.equal(empty.requests, 0);
+  assert.deepEqual(empty.needsManualWork.map(thread => thread.company), ['Tailspin Toys']);
+});
+
+test('Digest is posted once per period even if it was scheduled twice', async () => {
+  const { CONFIG } = bot;
+  const original = { ...CONFIG };
+  mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2026-10-21T08:00:00Z') });
+  try {
+    Object.assign(CONFIG, { digestSchedule: 'daily', digestHourUtc: 9 });
+    bot.scheduleDigest(slack);
+    bot.scheduleDigest(slack);
+
+    mock.timers.tick(60 * 60 * 1000);
+    // setTimeout is mocked, so let the digest posts finish with setImmediate
+    for (let i = 0; i < 20; i++) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const digests = slack.calls.filter(call => call.method === 'chat.postMessage');
+    assert.equal(digests.length, 1);
+    assert.match(digests[0].args.text, /Daily license request digest\* \(2026-10-20 to 2026-10-21\)/);
+  } finally {
+    mock.timers.reset();
+    Object.assign(CONFIG, original);
+  }
+});
+
+test('Digest schedule: daily at the configured hour, weekly on the configured weekday', () => {
+  const { CONFIG } = bot;
+  const original = { ...CONFIG };
+  try {
+    Object.assign(CONFIG, { digestSchedule: 'daily', digestHourUtc: 9, digestWeekday: 1 });
+    assert.equal(bot.getNextDigestTime(new Date('2026-10-21T08:00:00Z')).toISOString(), '2026-10-21T09:00:00.000Z');
+    assert.equal(bot.getNextDigestTime(new Date('2026-10-21T09:00:00Z')).toISOString(), '2026-10-22T09:00:00.000Z');
+
+    CONFIG.digestSchedule = 'weekly';
+    // Wednesday -> next Monday
+    assert.equal(bot.getNextDigestTime(new Date('2026-10-21T10:00:00Z')).toISOString(), '2026-10-26T09:00:00.000Z');
+    assert.equal(bot.getNextDigestTime(new Date('2026-10-26T08:59:00Z')).toISOString(), '2026-10-26T09:00:00.000Z');
+  } finally {
+    Object.assign(CONFIG, original);
+  }
+});
+
+test('Follow-ups: reminds the reviewer when no quote is created, then escalates to the backup reviewer', async () => {
+  const hours = n => Date.now() + n * 60 * 60 * 1000;
+  bot.CONFIG.autoCreateQuote = false;
+  try {
+    salesforce.insert('Account', { Name: 'Northwind Traders', Type: 'Prospect', Website: 'northwindtraders.com' });
+    const message = await postRequest(fixtures.prospect);
+    const [opportunity] = salesforce.created('Opportunity');
+
+    await bot.checkFollowUps(slack, hours(23));
+    assert.equal(slack.threadReplies(message).length, 1);
+
+    await bot.checkFollowUps(slack, hours(25));
+    const reminder = slack.threadReplies(message)[1];
+    assert.match(reminder, /⏰ \*Reminder:\* no quote has been created on <[^|]+\|the opportunity> 25 hours after/);
+    assert.ok(reminder.includes(`/Opportunity/${opportunity.Id}/view`));
+    assert.match(reminder, new RegExp(`<@${REVIEWER}> - please follow up`));
+
+    // The escalation interval starts at the reminder
+    await bot.checkFollowUps(slack, hours(48));
+    assert.equal(slack.threadReplies(message).length, 2);
+
+    await bot.checkFollowUps(slack, hours(50));
+    const escalation = slack.threadReplies(message)[2];
+    assert.match(escalation, /🚨 \*Escalation:\* no quote has been created/);
+    assert.match(escalation, new RegExp(`<@${BACKUP_REVIEWER}> - could you take this over from <@${REVIEWER}>\\?`));
+
+    await bot.checkFollowUps(slack, hours(100));
+    assert.equal(slack.threadReplies(message).length, 3);
+  } finally {
+    bot.CONFIG.autoCreateQuote = true;
+  }
+});
+
+test('Follow-ups: stop once the quote exists or the subscription quantity changes', async () => {
+  const hours = n => Date.now() + n * 60 * 60 * 1000;
+  bot.CONFIG.autoCreateQuote = false;
+  try {
+    salesforce.insert('Account', { Name: 'Northwind Traders', Type: 'Prospect', Website: 'northwindtraders.com' });
+    const customer = salesforce.insert('Account', { Name: 'Fabrikam', Type: 'Customer', Website: 'fabrikam.com' });
+    const subscription = salesforce.insert('Ruby__Subscription__c', {
+      Name: 'SUB-000123',
+      Customer_Account_Id__c: customer.Id,
+      Ruby__Status__c: 'Active',
+      Ruby__BillingAccount__c: RESELLER_ACCOUNT_ID,
+      Ruby__Quantity__c: 30,
+    });
+
+    const prospectMessage = await postRequest(fixtures.prospect);
+    const customerMessage = await postRequest(fixtures.customer);
+    const [opportunity] = salesforce.created('Opportunity');
+
+    // Nothing has happened yet, so both get a reminder
+    await bot.checkFollowUps(slack, hours(25));
+    assert.equal(slack.threadReplies(prospectMessage).length, 2);
+    assert.match(slack.threadReplies(customerMessage)[1], /the Gong subscription quantity has not changed/);
+
+    salesforce.insert('Quote', { Name: 'Northwind Traders - Quote', OpportunityId: opportunity.Id });
+    subscription.Ruby__Quantity__c = 40;
+
+    // ...but no escalation
+    await bot.checkFollowUps(slack, hours(50));
+    assert.equal(slack.threadReplies(prospectMessage).length, 2);
+    assert.equal(slack.threadReplies(customerMessage).length, 2);
+  } finally {
+    bot.CONFIG.autoCreateQuote = true;
+  }
+});
+
+/**
+ * Send a JSON body to the webhook handler over HTTP
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function callWebhook(rawBody, headers = {}) {
+  const server = http.createServer(bot.handleLicenseWebhook);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/webhooks/license-request`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer webhook-secret', 'Content-Type': 'application/json', ...headers },
+      body: rawBody,
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * Wait (up to a second) for work the webhook does after it has responded
+ */
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.ok(condition(), 'timed out waiting for the webhook to finish');
+}
+
+const WEBHOOK_REQUEST = {
+  customerName: 'Northwind Traders',
+  admin: { firstName: 'Nancy', lastName: 'Davolio', email: 'nancy.davolio@northwindtraders.com' },
+  items: [{ product: 'handoff', quantity: 25 }],
+};
+
+test('Webhook: malformed bodies are rejected with a 400', async () => {
+  for (const rawBody of ['null', '[]', '"text"', JSON.stringify({ ...WEBHOOK_REQUEST, items: [null] })]) {
+    const { status, body } = await callWebhook(rawBody);
+    assert.equal(status, 400, rawBody);
+    assert.equal(body.ok, false);
+  }
+
+  const { status } = await callWebhook(JSON.stringify({ ...WEBHOOK_REQUEST, request_id: { id: 1 } }));
+  assert.equal(status, 400);
+  assert.deepEqual(slack.calls, []);
+  assert.deepEqual(salesforce.writes, []);
+});
+
+test('Webhook: answers 202 before processing and ignores retries with the same request_id', async () => {
+  const originalClient = bot.app.client;
+  bot.app.client = slack;
+  try {
+    salesforce.insert('Account', { Name: 'Northwind Traders', Type: 'Prospect', Website: 'northwindtraders.com' });
+    const rawBody = JSON.stringify({ ...WEBHOOK_REQUEST, request_id: 'zap-run-1' });
+
+    const first = await callWebhook(rawBody);
+    assert.equal(first.status, 202);
+    assert.deepEqual(first.body, { ok: true, requestId: 'zap-run-1' });
+    await waitFor(() => salesforce.created('Opportunity').length === 1 &&
+      slack.calls.filter(call => call.method === 'chat.postMessage').length === 2);
+
+    const [posted] = slack.calls.filter(call => call.method === 'chat.postMessage' && !call.args.thread_ts);
+    assert.equal(posted.args.channel, CHANNEL);
+
+    const retry = await callWebhook(rawBody);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.duplicate, true);
+    assert.equal(retry.body.channel, CHANNEL);
+
+    // The Idempotency-Key header works the same way
+    const headerRetry = await callWebhook(JSON.stringify(WEBHOOK_REQUEST), { 'Idempotency-Key': 'zap-run-1' });
+    assert.equal(headerRetry.body.duplicate, true);
+
+    assert.equal(slack.calls.filter(call => call.method === 'chat.postMessage' && !call.args.thread_ts).length, 1);
+    assert.equal(salesforce.created('Opportunity').length, 1);
+  } finally {
+    bot.app.client = originalClient;
+  }
+});
+
+test('Subscription amendments only touch a subscription for the requested product', async () => {
+  bot.CONFIG.autoAmendSubscriptions = true;
+  try {
+    const account = salesforce.insert('Account', { Name: 'Fabrikam', Type: 'Customer', Website: 'fabrikam.com' });
+    salesforce.insert('Ruby__Subscription__c', {
+      Name: 'SUB-000200',
+      Customer_Account_Id__c: account.Id,
+      Ruby__Status__c: 'Active',
+      Ruby__BillingAccount__c: RESELLER_ACCOUNT_ID,
+      Ruby__ProductName__c: 'ChiliCal Teams License (Monthly)',
+      Ruby__Quantity__c: 5,
+    });
+
+    // Handoff x 40 against an account that only has ChiliCal
+    const message = await postRequest(fixtures.customer);
+
+    assert.deepEqual(salesforce.created('Order'), []);
+    assert.deepEqual(salesforce.created('OrderItem'), []);
+
+    const [reply] = slack.threadReplies(message);
+    assert.match(reply, /⚠️ \*Not applied - please review:\*/);
+    assert.match(reply, /• Handoff License \(Monthly\): no active subscription found for this product/);
+  } finally {
+    bot.CONFIG.autoAmendSubscriptions = false;
+  }
+});
+
+test('Subscription amendments link order items to the subscription, or create nothing when they cannot', async () => {
+  const orderItemFields = ['OrderId', 'PricebookEntryId', 'Quantity', 'UnitPrice'];
+  bot.CONFIG.autoAmendSubscriptions = true;
+  try {
+    const account = salesforce.insert('Account', { Name: 'Fabrikam', Type: 'Customer', Website: 'fabrikam.com' });
+    const subscription = salesforce.insert('Ruby__Subscription__c', {
+      Name: 'SUB-000123',
+      Customer_Account_Id__c: account.Id,
+      Ruby__Status__c: 'Active',
+      Ruby__BillingAccount__c: RESELLER_ACCOUNT_ID,
+      Ruby__ProductName__c: 'Handoff License (Monthly)',
+      Ruby__Quantity__c: 30,
+    });
+
+    salesforce.defineSchema('OrderItem', orderItemFields);
+    const unlinked = await postRequest(fixtures.customer);
+
+    assert.deepEqual(salesforce.created('Order'), []);
+    assert.match(slack.threadReplies(unlinked)[0],
+      /❌ \*Seat increase could not be prepared:\* OrderItem\.Ruby__Subscription__c is missing or cannot be set/);
+
+    salesforce.defineSchema('OrderItem', [...orderItemFields, 'Ruby__Subscription__c']);
+    const linked = await postRequest(fixtures.customer);
+
+    const [orderItem] = salesforce.created('OrderItem');
+    assert.equal(orderItem.Ruby__Subscription__c, subscription.Id);
+    assert.equal(orderItem.Quantity, 40);
+
+    const [reply] = slack.threadReplies(linked);
+    assert.match(reply, /📈 \*Seat Increase Prepared:\*/);
+    assert.match(reply, new RegExp(`<@${REVIEWER}> - please review and activate the draft order\\.`));
+  } finally {
+    bot.CONFIG.autoAmendSubscriptions = false;
+  }
+});
+
+test('Salesforce retries: creates are not repeated after an ambiguous failure, only after a row lock', async () => {
+  salesforce.insert('Account', { Name: 'Northwind Traders', Type: 'Prospect', Website: 'northwindtraders.com' });
+  // Saved, but the response never made it back
+  salesforce.failNext({ method: 'POST', path: /\/sobjects\/Contact$/, status: 503, errorCode: 'SERVER_UNAVAILABLE', afterCommit: true });
+  // Rolled back - safe to try again
+  salesforce.failNext({ method: 'POST', path: /\/sobjects\/Account$/, status: 400, errorCode: 'UNABLE_TO_LOCK_ROW' });
+  // Reads retry on any transient error
+  salesforce.failNext({ method: 'GET', path: /\/query$/, status: 503, errorCode: 'SERVER_UNAVAILABLE' });
+
+  const message = await postRequest(fixtures.prospect);
+
+  assert.equal(salesforce.find('Contact').length, 1);
+  assert.equal(salesforce.writes.filter(write => write.sobjectType === 'Contact').length, 1);
+  assert.deepEqual(salesforce.created('Opportunity'), []);
+  assert.equal(salesforce.faults.filter(fault => fault.method === 'GET').length, 0);
+  assert.match(slack.threadReplies(message)[0], /Contact not found and could not be created/);
+  assert.equal(auditEntries(message)[0].outcome, 'contact_not_created');
+
+  bot.CONFIG.autoCreateAccounts = true;
+  try {
+    const lockedMessage = await postRequest(fixtures.emeaProspect, EMEA_CHANNEL);
+    assert.equal(salesforce.faults.length, 0);
+    assert.equal(salesforce.created('Account').length, 1);
+    assert.equal(salesforce.created('Opportunity').length, 1);
+    assert.match(slack.threadReplies(lockedMessage).join('\n'), /Opportunity Created/);
+  } finally {
+    bot.CONFIG.autoCreateAccounts = false;
+  }
+});
+
+test('Digest settings that cannot be scheduled stop the bot at startup', () => {
+  const { spawnSync } = require('child_process');
+  for (const [name, value] of [['DIGEST_HOUR_UTC', 'nine'], ['DIGEST_HOUR_UTC', '24'], ['DIGEST_WEEKDAY', '7']]) {
+    const result = spawnSync(process.execPath, ['-e', `require(${JSON.stringify(require.resolve('../index'))})`], {
+      env: { ...process.env, DIGEST_SCHEDULE: 'weekly', [name]: value },
+      encoding: 'utf8',
+      timeout: 10000,
+    });
+    assert.notEqual(result.status, 0, `${name}=${value}`);
+    assert.match(result.stderr, new RegExp(`${name} must be`));
+  }
+});
+
+test('A duplicate window that is not a whole number of days stops the bot at startup', () => {
+  const { spawnSync } = require('child_process');
+  for (const value of ['two weeks', '7.5', '-1']) {
+    const result = spawnSync(process.execPath, ['-e', `require(${JSON.stringify(require.resolve('../index'))})`], {
+      env: { ...process.env, DUPLICATE_OPPORTUNITY_WINDOW_DAYS: value },
+      encoding: 'utf8',
+      timeout: 10000,
+    });
+    assert.notEqual(result.status, 0, `DUPLICATE_OPPORTUNITY_WINDOW_DAYS=${value}`);
+    assert.match(result.stderr, /DUPLICATE_OPPORTUNITY_WINDOW_DAYS must be/);
+  }
+});